@@ -4,15 +4,20 @@
  * This service worker handles:
  * 1. TIFF file interception - Redirects TIFF URLs to the viewer
  * 2. Download interception - Catches TIFF downloads and opens in viewer
- * 3. OCR message routing - Forwards OCR requests between viewer and offscreen document
+ * 3. Context menu - "Open in TIFF Viewer" for links, images and frames
+ * 4. Inline images - Registers the opt-in content script that renders <img src="*.tif">
+ * 5. OCR message routing - Forwards OCR requests between viewer and offscreen document
  *
  * Interception Methods:
  * - declarativeNetRequest: Creates dynamic redirect rules for TIFF URLs
  * - downloads.onDeterminingFilename: Catches TIFF downloads
  * - tabs.onUpdated/onCreated: Detects navigation to TIFF URLs
  * - webNavigation.onBeforeNavigate: Early detection of TIFF navigation
+ * - webRequest.onHeadersReceived: Detects TIFF responses by Content-Type/Content-Disposition
  */
 
+importScripts('shared/settings.js', 'shared/content-disposition.js');
+
 // Production mode - set to false to enable debug logging
 const DEBUG = false;
 const log = DEBUG ? console.log.bind(console) : () => {};
@@ -23,80 +28,316 @@ const logError = DEBUG ? console.error.bind(console) : () => {};
 /** Regex to match TIFF file extensions in URLs */
 const TIFF_EXTENSIONS = /\.(tiff?|tif)(\?.*)?$/i;
 
+/** MIME types that identify a TIFF response */
+const TIFF_MIME_TYPES = ['image/tiff', 'image/x-tiff'];
+
+/** How long a header-detected redirect suppresses the matching download (ms) */
+const HEADER_REDIRECT_TTL = 10000;
+
+/** How long a "Download" choice from the viewer's ask prompt waits for its download (ms) */
+const DOWNLOAD_BYPASS_TTL = 30000;
+
+/** MIME types servers use for unlabeled binary downloads, checked by magic bytes */
+const GENERIC_BINARY_MIME_TYPES = [
+  '',
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/x-download',
+  'application/force-download'
+];
+
+/** Notification ID prefix for "looks like a TIFF" download offers (followed by the URL) */
+const SNIFF_NOTIFICATION_PREFIX = 'tiff-sniff:';
+
+/** How long a GET response with a generic binary type stays eligible for sniffing (ms) */
+const SNIFF_CANDIDATE_TTL = 30000;
+
+/**
+ * Query parameters of signed or single-use links (S3, Google Cloud Storage,
+ * Azure SAS, CloudFront, one-time tokens), which are never fetched twice
+ */
+const SINGLE_USE_QUERY_PARAMS = /^(x-amz-.+|x-goog-.+|signature|sig|se|sp|st|policy|key-pair-id|expires?|token|.+[-_]token|auth|otp|nonce|hmac)$/i;
+
 /** URL of the viewer page */
 const VIEWER_URL = chrome.runtime.getURL('viewer/viewer.html');
 
+// ==================== Site Policy ====================
+//
+// Users choose per origin whether TIFFs are always viewed, always
+// downloaded, or asked about (see options page). Every interception
+// method consults getSiteAction() before redirecting.
+//
+
+/** Cached settings, reloaded after any change in chrome.storage.sync */
+let settingsCache = null;
+
+/**
+ * Get settings, loading them from storage on first use
+ */
+async function getSettings() {
+  if (!settingsCache) {
+    settingsCache = await loadSettings();
+  }
+  return settingsCache;
+}
+
+/**
+ * Get the interception action ('view', 'download' or 'ask') for a TIFF URL
+ */
+async function getUrlAction(url) {
+  return getSiteAction(await getSettings(), url);
+}
+
 // ==================== Dynamic Rule Management ====================
 //
 // Chrome's declarativeNetRequest requires rules to be created before
 // navigation occurs. We create temporary rules when TIFF URLs are detected
 // and clean them up after 30 seconds.
 //
+// MV3 suspends this service worker whenever it is idle, so nothing here
+// may live only in memory:
+// - Bookkeeping (URL -> { id, expires }) is kept in chrome.storage.session
+// - Expiry uses chrome.alarms, which fire even after the worker restarts
+// - New rule IDs are picked against getDynamicRules(), so they never
+//   collide with rules created by an earlier worker instance
+//
+
+/** chrome.storage.session key for the URL -> { id, expires } map */
+const PENDING_RULES_KEY = 'pendingRules';
 
-/** Counter for generating unique rule IDs */
-let ruleIdCounter = 1;
+/** Alarm that removes expired redirect rules */
+const RULE_CLEANUP_ALARM = 'redirect-rule-cleanup';
 
-/** Map of URL -> rule ID for active redirect rules */
-const pendingRules = new Map();
+/** How long a redirect rule stays active (ms) - it should have been used by then */
+const RULE_LIFETIME = 30000;
+
+/** Tail of the rule update queue (see withRuleLock) */
+let ruleQueue = Promise.resolve();
+
+/**
+ * Run rule and URL mark bookkeeping tasks one at a time
+ * Listeners fire concurrently, and two of them reading the same state
+ * would otherwise allocate the same rule ID or drop each other's writes.
+ */
+function withRuleLock(task) {
+  const run = ruleQueue.then(task);
+  ruleQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the URL -> { id, expires } map of active redirect rules
+ */
+async function getPendingRules() {
+  const stored = await chrome.storage.session.get(PENDING_RULES_KEY);
+  return stored[PENDING_RULES_KEY] || {};
+}
+
+async function setPendingRules(pending) {
+  await chrome.storage.session.set({ [PENDING_RULES_KEY]: pending });
+}
+
+/**
+ * Find the lowest rule ID not used by an existing dynamic rule
+ */
+function allocateRuleId(existingRules) {
+  const usedIds = new Set(existingRules.map(r => r.id));
+  let id = 1;
+  while (usedIds.has(id)) id++;
+  return id;
+}
 
 /**
  * Create a dynamic redirect rule for a specific URL
  */
 async function createRedirectRule(url) {
-  // Check if we already have a rule for this URL
-  if (pendingRules.has(url)) {
+  // Respect the site policy - 'download' lets Chrome handle the file
+  const action = await getUrlAction(url);
+  if (action === 'download') {
     return;
   }
 
-  const ruleId = ruleIdCounter++;
-  pendingRules.set(url, ruleId);
+  await withRuleLock(async () => {
+    const pending = await getPendingRules();
+
+    // Check if we already have a rule for this URL
+    if (pending[url]) {
+      return;
+    }
 
-  const viewerUrl = `${VIEWER_URL}?url=${encodeURIComponent(url)}`;
+    const ruleId = allocateRuleId(await chrome.declarativeNetRequest.getDynamicRules());
+    const viewerUrl = getViewerUrl(url, action === 'ask');
 
-  try {
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      addRules: [{
-        id: ruleId,
-        priority: 1,
-        action: {
-          type: 'redirect',
-          redirect: { url: viewerUrl }
-        },
-        condition: {
-          urlFilter: url,
-          resourceTypes: ['main_frame']
-        }
-      }],
-      removeRuleIds: []
-    });
+    try {
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        addRules: [{
+          id: ruleId,
+          priority: 1,
+          action: {
+            type: 'redirect',
+            redirect: { url: viewerUrl }
+          },
+          condition: {
+            urlFilter: url,
+            resourceTypes: ['main_frame']
+          }
+        }],
+        removeRuleIds: []
+      });
 
-    log(`[TIFF Viewer] Created redirect rule ${ruleId} for: ${url}`);
+      pending[url] = { id: ruleId, expires: Date.now() + RULE_LIFETIME };
+      await setPendingRules(pending);
+      scheduleRuleCleanup(pending);
 
-    // Clean up rule after 30 seconds (it should have been used by then)
-    setTimeout(() => removeRedirectRule(url), 30000);
-  } catch (err) {
-    logError('[TIFF Viewer] Failed to create redirect rule:', err);
-    pendingRules.delete(url);
+      log(`[TIFF Viewer] Created redirect rule ${ruleId} for: ${url}`);
+    } catch (err) {
+      logError('[TIFF Viewer] Failed to create redirect rule:', err);
+    }
+  });
+}
+
+/**
+ * Remove expired redirect rules, plus any rule missing from the bookkeeping
+ * (e.g. the worker was suspended between creating a rule and recording it)
+ */
+async function removeExpiredRules() {
+  await withRuleLock(async () => {
+    try {
+      const pending = await getPendingRules();
+      const now = Date.now();
+
+      const expiredUrls = Object.keys(pending).filter(url => pending[url].expires <= now);
+      const trackedIds = new Set(Object.values(pending).map(r => r.id));
+      const orphanIds = (await chrome.declarativeNetRequest.getDynamicRules())
+        .map(r => r.id)
+        .filter(id => !trackedIds.has(id));
+
+      const removeRuleIds = [...expiredUrls.map(url => pending[url].id), ...orphanIds];
+      if (removeRuleIds.length > 0) {
+        await chrome.declarativeNetRequest.updateDynamicRules({ addRules: [], removeRuleIds });
+        for (const url of expiredUrls) delete pending[url];
+        await setPendingRules(pending);
+        log(`[TIFF Viewer] Removed ${removeRuleIds.length} redirect rule(s)`);
+      }
+
+      scheduleRuleCleanup(pending);
+    } catch (err) {
+      logError('[TIFF Viewer] Failed to remove redirect rules:', err);
+    }
+  });
+}
+
+/**
+ * Set the cleanup alarm for the next rule to expire (or clear it if none remain)
+ */
+function scheduleRuleCleanup(pending) {
+  const expiries = Object.values(pending).map(r => r.expires);
+  if (expiries.length === 0) {
+    chrome.alarms.clear(RULE_CLEANUP_ALARM);
+    return;
+  }
+  chrome.alarms.create(RULE_CLEANUP_ALARM, { when: Math.min(...expiries) });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RULE_CLEANUP_ALARM) {
+    removeExpiredRules();
+  } else if (alarm.name === URL_MARK_CLEANUP_ALARM) {
+    removeExpiredUrlMarks();
   }
+});
+
+// ==================== URL Marks ====================
+//
+// Some decisions carry over from one event to a later one for the same
+// URL: a tab redirected by header detection (Method 4) must not also open
+// the download Chrome starts for it, and a "Download" chosen in the
+// viewer's ask prompt must not be intercepted again. The worker may be
+// suspended in between, so like the rule bookkeeping above, these marks
+// (URL -> expiry time) live in chrome.storage.session and expire by alarm.
+//
+
+/** chrome.storage.session key for URLs redirected by header detection */
+const HEADER_REDIRECTS_KEY = 'headerRedirects';
+
+/** chrome.storage.session key for URLs to download without interception */
+const DOWNLOAD_BYPASS_KEY = 'downloadBypass';
+
+/** Alarm that removes expired URL marks */
+const URL_MARK_CLEANUP_ALARM = 'url-mark-cleanup';
+
+/** chrome.storage.session key for GET responses that may be sniffed */
+const SNIFF_CANDIDATES_KEY = 'sniffCandidates';
+
+/** Every chrome.storage.session key that holds URL marks */
+const URL_MARK_KEYS = [HEADER_REDIRECTS_KEY, DOWNLOAD_BYPASS_KEY, SNIFF_CANDIDATES_KEY];
+
+/**
+ * Remember a URL under a key for a while
+ * @param {string} key - One of URL_MARK_KEYS
+ * @param {number} lifetime - ms
+ */
+async function addUrlMark(key, url, lifetime) {
+  await withRuleLock(async () => {
+    const stored = await chrome.storage.session.get(URL_MARK_KEYS);
+    const marks = stored[key] || {};
+    marks[url] = Date.now() + lifetime;
+    await chrome.storage.session.set({ [key]: marks });
+    scheduleUrlMarkCleanup({ ...stored, [key]: marks });
+  });
 }
 
 /**
- * Remove a dynamic redirect rule
+ * Remove a URL's mark
+ * @returns {Promise<boolean>} Whether the URL was marked (and not expired)
  */
-async function removeRedirectRule(url) {
-  const ruleId = pendingRules.get(url);
-  if (!ruleId) return;
+async function takeUrlMark(key, url) {
+  return withRuleLock(async () => {
+    const stored = await chrome.storage.session.get(key);
+    const marks = stored[key] || {};
+    if (!(url in marks)) return false;
+
+    const live = marks[url] > Date.now();
+    delete marks[url];
+    await chrome.storage.session.set({ [key]: marks });
+    return live;
+  });
+}
 
-  try {
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      addRules: [],
-      removeRuleIds: [ruleId]
-    });
-    pendingRules.delete(url);
-    log(`[TIFF Viewer] Removed redirect rule ${ruleId}`);
-  } catch (err) {
-    logError('[TIFF Viewer] Failed to remove redirect rule:', err);
+/**
+ * Drop expired URL marks and set the alarm for the next one
+ */
+async function removeExpiredUrlMarks() {
+  await withRuleLock(async () => {
+    try {
+      const stored = await chrome.storage.session.get(URL_MARK_KEYS);
+      const now = Date.now();
+      for (const key of URL_MARK_KEYS) {
+        const marks = stored[key] || {};
+        for (const url of Object.keys(marks)) {
+          if (marks[url] <= now) delete marks[url];
+        }
+        stored[key] = marks;
+      }
+      await chrome.storage.session.set(stored);
+      scheduleUrlMarkCleanup(stored);
+    } catch (err) {
+      logError('[TIFF Viewer] Failed to remove URL marks:', err);
+    }
+  });
+}
+
+/**
+ * Set the cleanup alarm for the next URL mark to expire (or clear it if none remain)
+ * @param {Object} stored - URL_MARK_KEYS -> { url: expires }
+ */
+function scheduleUrlMarkCleanup(stored) {
+  const expiries = URL_MARK_KEYS.flatMap(key => Object.values(stored[key] || {}));
+  if (expiries.length === 0) {
+    chrome.alarms.clear(URL_MARK_CLEANUP_ALARM);
+    return;
   }
+  chrome.alarms.create(URL_MARK_CLEANUP_ALARM, { when: Math.min(...expiries) });
 }
 
 /**
@@ -111,11 +352,46 @@ function isTiffUrl(url) {
   }
 }
 
+/**
+ * Find a header value in a webRequest header list (case-insensitive)
+ */
+function getHeader(headers, name) {
+  const header = headers?.find(h => h.name.toLowerCase() === name);
+  return header ? header.value || '' : '';
+}
+
+/**
+ * Check if response headers describe a TIFF file
+ * Matches a TIFF Content-Type or a TIFF filename in Content-Disposition
+ */
+function isTiffResponse(responseHeaders) {
+  const contentType = getHeader(responseHeaders, 'content-type').split(';')[0].trim().toLowerCase();
+  if (TIFF_MIME_TYPES.includes(contentType)) {
+    return true;
+  }
+
+  const filename = getDispositionFilename(getHeader(responseHeaders, 'content-disposition'));
+  return TIFF_EXTENSIONS.test(filename);
+}
+
+/**
+ * Build the viewer URL for a TIFF
+ * @param {string} url - TIFF URL
+ * @param {boolean} ask - Show the "view or download" prompt before loading
+ */
+function getViewerUrl(url, ask = false) {
+  return `${VIEWER_URL}?url=${encodeURIComponent(url)}${ask ? '&ask=1' : ''}`;
+}
+
 /**
  * Open TIFF in viewer
+ * @param {string} url - TIFF URL
+ * @param {number|null} tabId - Tab to navigate, or null for a new tab
+ * @param {Object} options
+ * @param {boolean} options.ask - Show the "view or download" prompt first (site policy 'ask')
  */
-function openInViewer(url, tabId = null) {
-  const viewerUrl = `${VIEWER_URL}?url=${encodeURIComponent(url)}`;
+function openInViewer(url, tabId = null, { ask = false } = {}) {
+  const viewerUrl = getViewerUrl(url, ask);
 
   if (tabId) {
     chrome.tabs.update(tabId, { url: viewerUrl });
@@ -124,6 +400,117 @@ function openInViewer(url, tabId = null) {
   }
 }
 
+/**
+ * Check the first bytes of a file for a TIFF signature
+ * Classic TIFF: II*\0 / MM\0*   BigTIFF: II+\0 / MM\0+
+ */
+function hasTiffSignature(bytes) {
+  if (bytes.length < 4) return false;
+
+  if (bytes[0] === 0x49 && bytes[1] === 0x49) {
+    return (bytes[2] === 0x2A || bytes[2] === 0x2B) && bytes[3] === 0x00;
+  }
+  if (bytes[0] === 0x4D && bytes[1] === 0x4D) {
+    return bytes[2] === 0x00 && (bytes[3] === 0x2A || bytes[3] === 0x2B);
+  }
+  return false;
+}
+
+/**
+ * Fetch only the first bytes of a URL
+ * Asks for a byte range, and stops reading early if the server ignores it
+ */
+async function readLeadingBytes(url, count) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const response = await fetch(url, {
+      headers: { Range: `bytes=0-${count - 1}` },
+      credentials: 'include',
+      signal: controller.signal
+    });
+    if (!response.ok || !response.body) return new Uint8Array(0);
+
+    const reader = response.body.getReader();
+    const bytes = new Uint8Array(count);
+    let received = 0;
+
+    while (received < count) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const take = Math.min(value.length, count - received);
+      bytes.set(value.subarray(0, take), received);
+      received += take;
+    }
+    reader.cancel().catch(() => {});
+
+    return bytes.subarray(0, received);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Check a URL for signs of a signed or single-use link
+ */
+function isSingleUseUrl(url) {
+  try {
+    return [...new URL(url).searchParams.keys()].some(name => SINGLE_USE_QUERY_PARAMS.test(name));
+  } catch {
+    return true;
+  }
+}
+
+// Sniffing requests the file a second time, which is only harmless for a
+// plain GET. Downloads don't say how they were requested, so GET responses
+// with a generic binary type are marked here; POST results and anything
+// else never are.
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  if (details.method !== 'GET' || details.statusCode < 200 || details.statusCode >= 300) return;
+
+  const contentType = getHeader(details.responseHeaders, 'content-type').split(';')[0].trim().toLowerCase();
+  if (!GENERIC_BINARY_MIME_TYPES.includes(contentType)) return;
+
+  addUrlMark(SNIFF_CANDIDATES_KEY, details.url, SNIFF_CANDIDATE_TTL)
+    .catch(err => logError('[TIFF Viewer] Failed to mark sniff candidate:', err));
+}, { urls: ['http://*/*', 'https://*/*'], types: ['main_frame', 'sub_frame', 'other'] }, ['responseHeaders']);
+
+/**
+ * Sniff a generic binary download and offer to open it if it is a TIFF
+ *
+ * The download itself is never delayed or modified. Only downloads seen as
+ * GET responses are sniffed, and never signed or one-time links, since
+ * fetching those again could use them up or repeat a side effect.
+ */
+async function sniffTiffDownload(downloadItem) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  if (!/^https?:/i.test(url)) return;
+
+  try {
+    if (!(await takeUrlMark(SNIFF_CANDIDATES_KEY, url)) || isSingleUseUrl(url)) {
+      log(`[TIFF Viewer] Not sniffing download: ${url}`);
+      return;
+    }
+
+    const bytes = await readLeadingBytes(url, 4);
+    if (!hasTiffSignature(bytes)) return;
+
+    log(`[TIFF Viewer] Download has a TIFF signature: ${url}`);
+
+    const name = (downloadItem.filename || new URL(url).pathname).split(/[\\/]/).pop() || url;
+    chrome.notifications.create(SNIFF_NOTIFICATION_PREFIX + url, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'TIFF image detected',
+      message: `${name} looks like a TIFF image.`,
+      buttons: [{ title: 'Open in TIFF Viewer' }]
+    });
+  } catch (err) {
+    logError('[TIFF Viewer] Failed to sniff download:', err);
+  }
+}
+
 // ==================== Method 1: Download Interception ====================
 //
 // When Chrome decides to download a TIFF (instead of displaying it),
@@ -133,8 +520,6 @@ function openInViewer(url, tabId = null) {
 
 chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
   const url = downloadItem.url;
-  const filename = downloadItem.filename || '';
-  const mime = downloadItem.mime || '';
 
   // Don't intercept blob URLs (these are intentional saves from our viewer)
   if (url.startsWith('blob:')) {
@@ -142,13 +527,37 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
     return;
   }
 
+  // The site policy and URL marks are loaded asynchronously, so suggest() is called later.
+  // If storage fails, let the download through - a download without suggest() hangs.
+  interceptDownload(downloadItem, suggest).catch((err) => {
+    logError('[TIFF Viewer] Failed to check download:', err);
+    suggest({ filename: downloadItem.filename });
+  });
+  return true;
+});
+
+/**
+ * Decide whether to take over a download, based on its type and the site policy
+ */
+async function interceptDownload(downloadItem, suggest) {
+  const url = downloadItem.url;
+
+  // The user picked "Download" in the viewer's ask prompt
+  if (await takeUrlMark(DOWNLOAD_BYPASS_KEY, url)) {
+    suggest({ filename: downloadItem.filename });
+    return;
+  }
+
+  const filename = downloadItem.filename || '';
+  const mime = downloadItem.mime || '';
+  const action = await getUrlAction(url);
+
   const isTiff =
     TIFF_EXTENSIONS.test(filename) ||
     TIFF_EXTENSIONS.test(url) ||
-    mime === 'image/tiff' ||
-    mime === 'image/x-tiff';
+    TIFF_MIME_TYPES.includes(mime);
 
-  if (isTiff) {
+  if (isTiff && action !== 'download') {
     log(`[TIFF Viewer] Intercepted download: ${url}`);
 
     // Cancel the download
@@ -159,8 +568,12 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
       chrome.downloads.erase({ id: downloadItem.id });
     }, 100);
 
-    // Open in viewer
-    openInViewer(url);
+    // Open in viewer, unless header interception already redirected a tab to it.
+    // The download is cancelled already, so a storage failure must not reach the caller.
+    const redirected = await takeUrlMark(HEADER_REDIRECTS_KEY, url).catch(() => false);
+    if (!redirected) {
+      openInViewer(url, null, { ask: action === 'ask' });
+    }
 
     // Don't suggest a filename (download is cancelled)
     return;
@@ -168,7 +581,23 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
 
   // Let other downloads proceed normally
   suggest({ filename: downloadItem.filename });
-});
+
+  // Unlabeled binaries (e.g. fax_000123.dat) may still be TIFFs - check the magic bytes
+  if (action !== 'download' && GENERIC_BINARY_MIME_TYPES.includes(mime)) {
+    sniffTiffDownload(downloadItem);
+  }
+}
+
+// Open a sniffed download in the viewer when its notification is used
+function handleSniffNotification(notificationId) {
+  if (!notificationId.startsWith(SNIFF_NOTIFICATION_PREFIX)) return;
+
+  chrome.notifications.clear(notificationId);
+  openInViewer(notificationId.slice(SNIFF_NOTIFICATION_PREFIX.length));
+}
+
+chrome.notifications.onClicked.addListener(handleSniffNotification);
+chrome.notifications.onButtonClicked.addListener(handleSniffNotification);
 
 // ==================== Method 2: Tab Navigation Interception ====================
 //
@@ -176,13 +605,16 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
 // When detected, redirect the tab to our viewer.
 //
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.url && isTiffUrl(changeInfo.url)) {
     // Skip if it's already our viewer
     if (changeInfo.url.includes(VIEWER_URL)) return;
 
+    const action = await getUrlAction(changeInfo.url);
+    if (action === 'download') return;
+
     log(`[TIFF Viewer] Tab navigating to TIFF: ${changeInfo.url}`);
-    openInViewer(changeInfo.url, tabId);
+    openInViewer(changeInfo.url, tabId, { ask: action === 'ask' });
   }
 });
 
@@ -219,6 +651,39 @@ chrome.webNavigation?.onBeforeNavigate?.addListener((details) => {
   }
 });
 
+// ==================== Method 4: Response Header Interception ====================
+//
+// Some servers deliver TIFFs from URLs without a .tif/.tiff extension
+// (e.g. /api/documents/8812/content). These can only be recognized once the
+// response headers arrive, so we watch main-frame responses for a TIFF
+// Content-Type or a TIFF filename in Content-Disposition and redirect the tab.
+//
+// Chrome usually starts a download for the same response, so the URL is
+// marked briefly (see URL Marks) and the download listener cancels it
+// without opening a second viewer tab.
+//
+
+chrome.webRequest.onHeadersReceived.addListener(async (details) => {
+  const url = details.url;
+
+  // Only successful responses in a real tab
+  if (details.tabId < 0 || details.statusCode < 200 || details.statusCode >= 300) return;
+
+  // Extension-matched URLs are handled by the methods above
+  if (isTiffUrl(url)) return;
+
+  if (isTiffResponse(details.responseHeaders)) {
+    const action = await getUrlAction(url);
+    if (action === 'download') return;
+
+    log(`[TIFF Viewer] TIFF response headers for: ${url}`);
+
+    await addUrlMark(HEADER_REDIRECTS_KEY, url, HEADER_REDIRECT_TTL);
+
+    openInViewer(url, details.tabId, { ask: action === 'ask' });
+  }
+}, { urls: ['http://*/*', 'https://*/*'], types: ['main_frame'] }, ['responseHeaders']);
+
 // ==================== Rule Cleanup ====================
 //
 // Clean up any leftover redirect rules from previous sessions.
@@ -226,8 +691,11 @@ chrome.webNavigation?.onBeforeNavigate?.addListener((details) => {
 // handles cases where cleanup didn't happen (e.g., browser crash).
 //
 
-chrome.runtime.onStartup.addListener(async () => {
-  try {
+/**
+ * Remove every dynamic rule and forget all bookkeeping
+ */
+async function removeAllRedirectRules() {
+  await withRuleLock(async () => {
     const rules = await chrome.declarativeNetRequest.getDynamicRules();
     if (rules.length > 0) {
       await chrome.declarativeNetRequest.updateDynamicRules({
@@ -236,6 +704,14 @@ chrome.runtime.onStartup.addListener(async () => {
       });
       log(`[TIFF Viewer] Cleaned up ${rules.length} old rules`);
     }
+    await chrome.storage.session.remove(PENDING_RULES_KEY);
+    await chrome.alarms.clear(RULE_CLEANUP_ALARM);
+  });
+}
+
+chrome.runtime.onStartup.addListener(async () => {
+  try {
+    await removeAllRedirectRules();
   } catch (err) {
     logError('[TIFF Viewer] Cleanup error:', err);
   }
@@ -244,19 +720,96 @@ chrome.runtime.onStartup.addListener(async () => {
 // Also clean up on install
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    const rules = await chrome.declarativeNetRequest.getDynamicRules();
-    if (rules.length > 0) {
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        addRules: [],
-        removeRuleIds: rules.map(r => r.id)
-      });
-    }
+    await removeAllRedirectRules();
     log('[TIFF Viewer] Extension installed/updated');
   } catch (err) {
     logError('[TIFF Viewer] Install cleanup error:', err);
   }
 });
 
+// ==================== Context Menu ====================
+//
+// Manual entry point for TIFFs that interception misses: extensionless
+// links, links opened via JavaScript, or sites that force a download via
+// Content-Disposition: attachment.
+//
+
+/** Context menu item IDs */
+const MENU_OPEN = 'open-in-viewer';
+const MENU_OPEN_NEW_TAB = 'open-in-viewer-new-tab';
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    const contexts = ['link', 'image', 'frame'];
+    chrome.contextMenus.create({ id: MENU_OPEN, title: 'Open in TIFF Viewer', contexts });
+    chrome.contextMenus.create({ id: MENU_OPEN_NEW_TAB, title: 'Open in TIFF Viewer in new tab', contexts });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== MENU_OPEN && info.menuItemId !== MENU_OPEN_NEW_TAB) return;
+
+  // The most specific target wins: a linked image opens the link
+  const url = info.linkUrl || info.srcUrl || info.frameUrl;
+  if (!url) return;
+
+  log(`[TIFF Viewer] Context menu open: ${url}`);
+
+  const inCurrentTab = info.menuItemId === MENU_OPEN && tab?.id >= 0;
+  openInViewer(url, inCurrentTab ? tab.id : null);
+});
+
+// ==================== Inline Image Rendering ====================
+//
+// Chrome cannot display TIFF in <img> tags. When the user opts in from the
+// options page, we register a content script that decodes TIFF images on
+// ordinary pages with the bundled UTIF.js. The script is registered
+// dynamically so pages are untouched unless the setting is on.
+//
+
+/** ID of the dynamically registered inline image content script */
+const INLINE_SCRIPT_ID = 'inline-tiff-images';
+
+/**
+ * Register or unregister the inline image content script to match settings
+ */
+async function syncInlineImageScript() {
+  try {
+    const { inlineImages } = await loadSettings();
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [INLINE_SCRIPT_ID] });
+
+    if (inlineImages && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: INLINE_SCRIPT_ID,
+        matches: ['http://*/*', 'https://*/*', 'file:///*'],
+        js: ['lib/inflate.js', 'lib/UTIF.js', 'content/inline-images.js'],
+        runAt: 'document_idle',
+        allFrames: true
+      }]);
+      log('[TIFF Viewer] Inline image rendering enabled');
+    } else if (!inlineImages && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [INLINE_SCRIPT_ID] });
+      log('[TIFF Viewer] Inline image rendering disabled');
+    }
+  } catch (err) {
+    logError('[TIFF Viewer] Failed to update inline image script:', err);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(syncInlineImageScript);
+chrome.runtime.onStartup.addListener(syncInlineImageScript);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  // Site rules or other settings changed - reload on next use
+  settingsCache = null;
+
+  if (changes.inlineImages) {
+    syncInlineImageScript();
+  }
+});
+
 // ==================== OCR via Offscreen Document ====================
 //
 // Chrome MV3 extensions cannot run Web Workers in the service worker.
@@ -272,6 +825,15 @@ chrome.runtime.onInstalled.addListener(async () => {
 // Note: We use request IDs because Chrome's sendResponse times out
 // before long OCR operations complete.
 //
+// Progress: offscreen tags each ocr-worker-progress message with the
+// requestId of the job the worker is running. Background looks up the tab
+// and frame that sent that request and delivers ocr-progress only there,
+// so concurrent jobs from several viewer tabs never see each other's progress.
+//
+// Cancellation: ocr-cancel from a viewer resolves that viewer's pending
+// requests as cancelled right away, then tells offscreen which requestIds
+// to drop so the worker is free for the next job.
+//
 
 /** Promise tracking offscreen document creation to prevent duplicates */
 let creatingOffscreen = null;
@@ -279,7 +841,11 @@ let creatingOffscreen = null;
 /** Counter for generating unique OCR request IDs */
 let ocrRequestId = 0;
 
-/** Map of requestId -> sendResponse callback for pending OCR requests */
+/**
+ * Map of requestId -> pending OCR request:
+ * - respond: sendResponse callback of the viewer
+ * - tabId/frameId: Where the request came from (progress is sent only there)
+ */
 const pendingOcrRequests = new Map();
 
 /**
@@ -311,27 +877,50 @@ async function setupOffscreen() {
 
 // Handle messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Open a clicked inline image from a web page in the viewer
+  if (message.type === 'open-in-viewer' && sender.tab && typeof message.url === 'string') {
+    openInViewer(message.url);
+    return false;
+  }
+
+  // "Download" chosen in the viewer's ask prompt - let this one download through
+  if (message.type === 'download-original' && sender.url?.startsWith(VIEWER_URL) && typeof message.url === 'string') {
+    addUrlMark(DOWNLOAD_BYPASS_KEY, message.url, DOWNLOAD_BYPASS_TTL)
+      .then(() => chrome.downloads.download({ url: message.url }))
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => {
+        takeUrlMark(DOWNLOAD_BYPASS_KEY, message.url).catch(() => {});
+        sendResponse({ success: false, error: err.message || String(err) });
+      });
+    return true; // Keep channel open
+  }
+
   // Handle OCR requests from viewer
   if (message.type === 'ocr-init' || message.type === 'ocr-recognize' || message.type === 'ocr-terminate') {
     const requestId = ++ocrRequestId;
 
-    // Store the response callback
-    pendingOcrRequests.set(requestId, sendResponse);
+    // Store the response callback and the requesting viewer
+    pendingOcrRequests.set(requestId, {
+      respond: sendResponse,
+      tabId: sender.tab?.id,
+      frameId: sender.frameId
+    });
 
     // Forward to offscreen with request ID
     (async () => {
       try {
-        await setupOffscreen();
+        const [settings] = await Promise.all([getSettings(), setupOffscreen()]);
         // Send message with request ID - offscreen will respond with ocr-response
         chrome.runtime.sendMessage({
           ...message,
-          requestId
+          requestId,
+          poolSize: getOcrPoolSize(settings)
         });
       } catch (err) {
         logError('[TIFF Viewer] OCR setup error:', err);
-        const callback = pendingOcrRequests.get(requestId);
-        if (callback) {
-          callback({ success: false, error: err.message || String(err) });
+        const request = pendingOcrRequests.get(requestId);
+        if (request) {
+          request.respond({ success: false, error: err.message || String(err) });
           pendingOcrRequests.delete(requestId);
         }
       }
@@ -340,27 +929,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open
   }
 
+  // Cancel every pending OCR request of the sending viewer
+  if (message.type === 'ocr-cancel' && sender.tab) {
+    const requestIds = [];
+    for (const [requestId, request] of pendingOcrRequests) {
+      if (request.tabId === sender.tab.id && request.frameId === sender.frameId) {
+        request.respond({ success: false, cancelled: true, error: 'OCR cancelled' });
+        pendingOcrRequests.delete(requestId);
+        requestIds.push(requestId);
+      }
+    }
+
+    if (requestIds.length > 0) {
+      log('[TIFF Viewer] Cancelling OCR requests:', requestIds);
+      chrome.runtime.sendMessage({ type: 'ocr-cancel', requestIds }).catch(() => {});
+    }
+    return false;
+  }
+
   // Handle OCR responses from offscreen
   if (message.type === 'ocr-response' && sender.url?.includes('offscreen')) {
     const { requestId, ...response } = message;
-    const callback = pendingOcrRequests.get(requestId);
-    if (callback) {
+    const request = pendingOcrRequests.get(requestId);
+    if (request) {
       log('[TIFF Viewer] OCR response received for request:', requestId);
-      callback(response);
+      request.respond(response);
       pendingOcrRequests.delete(requestId);
     }
     return false;
   }
 
-  // Forward progress messages to viewer tabs
-  if (message.type === 'ocr-progress' && sender.url?.includes('offscreen')) {
-    chrome.tabs.query({}, (tabs) => {
-      for (const tab of tabs) {
-        if (tab.url?.includes('viewer/viewer.html')) {
-          chrome.tabs.sendMessage(tab.id, message).catch(() => {});
-        }
-      }
-    });
+  // Forward worker progress only to the viewer that made the request
+  if (message.type === 'ocr-worker-progress' && sender.url?.includes('offscreen')) {
+    const request = pendingOcrRequests.get(message.requestId);
+    if (request && request.tabId != null) {
+      chrome.tabs.sendMessage(request.tabId, {
+        type: 'ocr-progress',
+        status: message.status,
+        progress: message.progress
+      }, { frameId: request.frameId }).catch(() => {});
+    }
+    return false;
   }
 });
 
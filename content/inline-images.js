@@ -0,0 +1,186 @@
+/**
+ * TIFF Viewer - Inline Image Content Script
+ *
+ * Chrome cannot display TIFF in <img> tags, so pages that embed scans
+ * show broken images. When enabled in the options page, background.js
+ * registers this script on web pages. It:
+ * 1. Finds <img> elements whose source is a .tif/.tiff URL (including
+ *    images added later, via a MutationObserver)
+ * 2. Once an image is near the viewport, fetches and decodes the first
+ *    page with the bundled UTIF.js
+ * 3. Swaps the rendered page in as a PNG blob URL
+ * 4. Opens the full multi-page document in the viewer on click
+ *
+ * Decoding runs on the page's main thread, so files and pages above a size
+ * limit are left as they are; the viewer can still open them.
+ *
+ * Note: Content script fetches follow the page's CORS rules, so TIFFs on
+ * other origins that don't allow cross-origin reads are left untouched.
+ *
+ * @requires UTIF.js - Injected before this script
+ */
+
+(() => {
+  // Production mode - set to false to enable debug logging
+  const DEBUG = false;
+  const log = DEBUG ? console.log.bind(console) : () => {};
+  const logError = DEBUG ? console.error.bind(console) : () => {};
+
+  /** Regex to match TIFF file extensions in URL paths */
+  const TIFF_EXTENSIONS = /\.(tiff?|tif)$/i;
+
+  /** Largest file fetched for inline rendering (bytes) */
+  const MAX_FILE_BYTES = 32 * 1024 * 1024;
+
+  /** Largest first page decoded inline (pixels) - 4 bytes each while decoding */
+  const MAX_PAGE_PIXELS = 16 * 1024 * 1024;
+
+  /** Map of img element -> original TIFF URL it was rendered from */
+  const renderedImages = new WeakMap();
+
+  /** Renders images as they come near the viewport */
+  const viewportObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      viewportObserver.unobserve(entry.target);
+      renderImage(entry.target);
+    }
+  }, { rootMargin: '200px' });
+
+  /**
+   * Check if an image source points at a TIFF file by extension
+   */
+  function isTiffSrc(src) {
+    try {
+      const url = new URL(src, document.baseURI);
+      return ['http:', 'https:', 'file:'].includes(url.protocol) && TIFF_EXTENSIONS.test(url.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Open the original TIFF in the viewer when a converted image is clicked
+   */
+  function handleClick(e) {
+    const src = renderedImages.get(e.currentTarget);
+    if (!src) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ type: 'open-in-viewer', url: src }).catch(() => {});
+  }
+
+  /**
+   * Render a TIFF image once it comes near the viewport
+   */
+  function queueImage(img) {
+    const src = img.getAttribute('src');
+    if (!src || !isTiffSrc(src)) {
+      // The page replaced a converted image with something else
+      if (src && !src.startsWith('blob:')) renderedImages.delete(img);
+      return;
+    }
+
+    if (renderedImages.get(img) !== new URL(src, document.baseURI).href) {
+      viewportObserver.observe(img);
+    }
+  }
+
+  /**
+   * Decode the first page of a TIFF image and render it in place
+   */
+  async function renderImage(img) {
+    const src = img.getAttribute('src');
+    if (!src || !isTiffSrc(src)) return;
+
+    const absoluteSrc = new URL(src, document.baseURI).href;
+    if (renderedImages.get(img) === absoluteSrc) return;
+
+    // Claim the image before the async work so mutations don't render it twice
+    renderedImages.set(img, absoluteSrc);
+
+    try {
+      const response = await fetch(absoluteSrc, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      if (Number(response.headers.get('content-length')) > MAX_FILE_BYTES) {
+        response.body?.cancel().catch(() => {});
+        log(`[TIFF Viewer] Inline TIFF too large to fetch: ${absoluteSrc}`);
+        return;
+      }
+      const buffer = new Uint8Array(await response.arrayBuffer());
+      if (buffer.length > MAX_FILE_BYTES) return;
+
+      const ifds = UTIF.decode(buffer);
+      if (!ifds || ifds.length === 0) {
+        throw new Error('No pages found in TIFF file');
+      }
+
+      const ifd = ifds[0];
+      if (!ifd.t256 || !ifd.t257 || ifd.t256[0] * ifd.t257[0] > MAX_PAGE_PIXELS) {
+        log(`[TIFF Viewer] Inline TIFF too large to decode: ${absoluteSrc}`);
+        return;
+      }
+      UTIF.decodeImage(buffer, ifd, ifds);
+      const rgba = UTIF.toRGBA8(ifd);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = ifd.width;
+      canvas.height = ifd.height;
+      const ctx = canvas.getContext('2d');
+      const imageData = ctx.createImageData(ifd.width, ifd.height);
+      imageData.data.set(rgba);
+      ctx.putImageData(imageData, 0, 0);
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+      // The page may have pointed the image somewhere else meanwhile
+      if (renderedImages.get(img) !== absoluteSrc) return;
+
+      const previousUrl = img.src;
+      img.removeAttribute('srcset');
+      img.src = URL.createObjectURL(blob);
+      if (previousUrl.startsWith('blob:')) URL.revokeObjectURL(previousUrl);
+
+      img.style.cursor = 'zoom-in';
+      if (!img.title) img.title = 'Open in TIFF Viewer';
+      img.addEventListener('click', handleClick); // No-op if already attached
+
+      log(`[TIFF Viewer] Rendered inline TIFF: ${absoluteSrc}`);
+    } catch (err) {
+      logError('[TIFF Viewer] Failed to render inline TIFF:', err);
+    }
+  }
+
+  // Existing images
+  for (const img of document.querySelectorAll('img')) {
+    queueImage(img);
+  }
+
+  // Images added or re-pointed later (our own blob URLs are ignored by isTiffSrc)
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        queueImage(mutation.target);
+        continue;
+      }
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (node.tagName === 'IMG') {
+          queueImage(node);
+        } else {
+          node.querySelectorAll('img').forEach(queueImage);
+        }
+      }
+    }
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src']
+  });
+})();
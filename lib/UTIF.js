@@ -11,7 +11,7 @@ else {self.UTIF = UTIF;}
 
 var pako;
 if (typeof require == "function") {pako = require("pako");}
-else {pako = self.pako;}
+else {pako = self.pako || {"inflate": self.zlibInflate};}  // lib/inflate.js when pako isn't loaded
 
 function log() { if (typeof process=="undefined" || process.env.NODE_ENV=="development") console.log.apply(console, arguments);  }
 
@@ -79,6 +79,162 @@ UTIF.encode = function(ifds)
 }
 //UTIF.encode._writeIFD
 
+// Encode pixels as one strip, using the smallest photometric that keeps them:
+// bilevel (WhiteIsZero, CCITT G4), gray (BlackIsZero) or RGB/RGBA (LZW with predictor, or PackBits).
+// Returns [tags, data]; the caller adds StripOffsets / StripByteCounts.
+UTIF.encodeStrip = function(rgba, w, h, cmpr)
+{
+	if(cmpr==null) cmpr = 5;
+	var area = w*h, gray = true, bilevel = true, opaque = true;
+	for(var i=0; i<area; i++) {
+		var qi=i<<2, r=rgba[qi];
+		if(rgba[qi+3]!=255) opaque = false;
+		if(r!=rgba[qi+1] || r!=rgba[qi+2]) {  gray = false;  bilevel = false;  }
+		else if(r!=0 && r!=255) bilevel = false;
+	}
+	gray = gray && opaque;  bilevel = bilevel && opaque;
+
+	var tags = { "t256":[w], "t257":[h], "t278":[h], "t284":[1] }, data;
+	if(bilevel) {
+		var bpl = (w+7)>>3, bits = new Uint8Array(bpl*h);	// 1 = black
+		for(var y=0; y<h; y++) for(var x=0; x<w; x++) if(rgba[(y*w+x)<<2]==0) bits[y*bpl+(x>>3)] |= 128>>(x&7);
+		tags["t258"]=[1];  tags["t259"]=[4];  tags["t262"]=[0];  tags["t277"]=[1];
+		data = UTIF.encode._encodeG4(bits, w, h);
+	}
+	else {
+		var noc = gray ? 1 : (opaque ? 3 : 4), px = new Uint8Array(area*noc);
+		for(var i=0; i<area; i++) for(var j=0; j<noc; j++) px[i*noc+j] = rgba[(i<<2)+j];
+		tags["t258"]=[];  for(var j=0; j<noc; j++) tags["t258"].push(8);
+		tags["t259"]=[cmpr];  tags["t262"]=[gray ? 1 : 2];  tags["t277"]=[noc];
+		if(noc==4) tags["t338"]=[2];	// unassociated alpha
+		if(cmpr==5) {
+			// Horizontal differencing makes photos much smaller
+			for(var y=0; y<h; y++) for(var x=w-1; x>0; x--) for(var j=0; j<noc; j++) {  var o=(y*w+x)*noc+j;  px[o] = (px[o]-px[o-noc])&255;  }
+			tags["t317"]=[2];
+			data = UTIF.encode._encodeLZW(px);
+		}
+		else if(cmpr==32773) data = UTIF.encode._encodePackBits(px, w*noc, h);
+		else {  tags["t259"]=[1];  data = px;  }
+	}
+	return [tags, data];
+}
+
+// Growable MSB-first bit writer used by the encoders
+UTIF.encode._bitWriter = function(size)
+{
+	var bw = {  data:new Uint8Array(Math.max(size,1024)), boff:0  };
+	bw.put = function(val, n) {	// write the n low bits of val
+		if(((bw.boff+n)>>>3)+4>bw.data.length) {  var nd = new Uint8Array(bw.data.length*2);  nd.set(bw.data);  bw.data = nd;  }
+		for(var i=n-1; i>=0; i--) {  if((val>>>i)&1) bw.data[bw.boff>>>3] |= 128>>(bw.boff&7);  bw.boff++;  }
+	};
+	bw.putBits = function(str) {  for(var i=0; i<str.length; i++) bw.put(str.charCodeAt(i)-48, 1);  };
+	bw.bytes = function() {  return bw.data.slice(0, (bw.boff+7)>>>3);  };
+	return bw;
+}
+
+UTIF.encode._g4codes = null;
+
+// CCITT Group 4 (T.6). bits: packed rows, 1 = black
+UTIF.encode._encodeG4 = function(bits, w, h)
+{
+	var E = UTIF.encode;
+	if(E._g4codes==null) {	// invert the decoder's code tables: run length -> code
+		var cds = [{},{}], vert = {};
+		for(var c=0; c<2; c++) for(var cd in UTIF.decode._lens[c]) cds[c][UTIF.decode._lens[c][cd]] = cd;
+		for(var cd in UTIF.decode._dmap) vert[UTIF.decode._dmap[cd]] = cd;
+		E._g4codes = [cds, vert];
+	}
+	var cds = E._g4codes[0], vert = E._g4codes[1];
+	var bpl = (w+7)>>3, bw = E._bitWriter(bits.length>>3);
+
+	var putRun = function(run, clr) {
+		while(run>=2560) {  bw.putBits(cds[clr][2560]);  run-=2560;  }
+		if(run>=64) {  bw.putBits(cds[clr][run&~63]);  run&=63;  }
+		bw.putBits(cds[clr][run]);
+	};
+	// changing elements of a row: positions where the color differs from the one before (starting white), then w,w
+	var changes = function(y) {
+		var out = [], prev = 0, o = y*bpl;
+		if(y>=0) for(var x=0; x<w; x++) {  var px = (bits[o+(x>>3)]>>(7-(x&7)))&1;  if(px!=prev) {  out.push(x);  prev=px;  }  }
+		out.push(w, w);  return out;
+	};
+
+	var ref = changes(-1);
+	for(var y=0; y<h; y++)
+	{
+		var cur = changes(y), a0 = -1, clr = 0, ci = 0, rs = 0;
+		while(a0<w)
+		{
+			var start = a0<0 ? 0 : a0+1;
+			while(cur[ci]<start) ci++;
+			var a1 = cur[ci];
+			// b1: first change on the reference line right of a0 to the opposite color (even index = to black)
+			while(ref[rs]<start) rs++;
+			var ri = Math.min(rs + ((rs&1)!=clr ? 1 : 0), ref.length-1);
+			var b1 = ref[ri], b2 = ref[Math.min(ri+1, ref.length-1)];
+
+			if(b2<a1) {  bw.putBits("0001");  a0 = b2;  }
+			else if(Math.abs(a1-b1)<=3) {  bw.putBits(vert[a1-b1]);  a0 = a1;  clr = 1-clr;  }
+			else {
+				var a2 = cur[Math.min(ci+1, cur.length-1)];
+				bw.putBits("001");  putRun(a1-Math.max(a0,0), clr);  putRun(a2-a1, 1-clr);
+				a0 = a2;
+			}
+		}
+		ref = cur;
+	}
+	bw.putBits("000000000001000000000001");	// EOFB
+	return bw.bytes();
+}
+
+// TIFF LZW (MSB-first, early change), matching libtiff's encoder
+UTIF.encode._encodeLZW = function(data)
+{
+	var bw = UTIF.encode._bitWriter(data.length>>1), dict = new Map(), next = 258, bits = 9, prefix = -1;
+	bw.put(256, bits);
+	for(var i=0; i<data.length; i++)
+	{
+		var b = data[i];
+		if(prefix<0) {  prefix = b;  continue;  }
+		var key = prefix*256+b, code = dict.get(key);
+		if(code!==undefined) {  prefix = code;  continue;  }
+		bw.put(prefix, bits);
+		dict.set(key, next++);
+		if(next==4094) {  bw.put(256, bits);  dict.clear();  next = 258;  bits = 9;  }
+		else if(next>(1<<bits)-1) bits++;
+		prefix = b;
+	}
+	if(prefix>=0) {
+		bw.put(prefix, bits);  next++;
+		if(next==4094) {  bw.put(256, bits);  bits = 9;  }
+		else if(next>(1<<bits)-1) bits++;
+	}
+	bw.put(257, bits);
+	return bw.bytes();
+}
+
+// PackBits, each row on its own as TIFF requires
+UTIF.encode._encodePackBits = function(data, bpl, h)
+{
+	var out = new Uint8Array(data.length + Math.ceil(data.length/128) + h), o = 0;
+	for(var y=0; y<h; y++)
+	{
+		var i = y*bpl, end = i+bpl;
+		while(i<end)
+		{
+			var run = 1;
+			while(i+run<end && run<128 && data[i+run]==data[i]) run++;
+			if(run>=3 || i+run==end && run==2) {  out[o++] = 257-run;  out[o++] = data[i];  i+=run;  continue;  }
+			// literal: until a run of 3 starts
+			var lit = i;
+			while(lit<end && lit-i<128 && !(lit+2<end && data[lit]==data[lit+1] && data[lit]==data[lit+2])) lit++;
+			out[o++] = lit-i-1;
+			for(; i<lit; i++) out[o++] = data[i];
+		}
+	}
+	return out.slice(0, o);
+}
+
 UTIF.decode = function(buff)
 {
 	UTIF.decode._decodeG3.allow2D = null;
@@ -87,12 +243,13 @@ UTIF.decode = function(buff)
 	var id = UTIF._binBE.readASCII(data, offset, 2);  offset+=2;
 	var bin = id=="II" ? UTIF._binLE : UTIF._binBE;
 	var num = bin.readUshort(data, offset);  offset+=2;
+	var big = num==43;  // BigTIFF: 8-byte offsets, the first IFD offset follows the offset size (8) and 0
 
-	var ifdo = bin.readUint(data, offset);  offset+=4;
+	var ifdo = big ? bin.readUint64(data, offset+4) : bin.readUint(data, offset);  offset+= big ? 12 : 4;
 	var ifds = [];
 	while(true) {
-		var noff = UTIF._readIFD(bin, data, ifdo, ifds, 0, false);
-		ifdo = bin.readUint(data, noff);
+		var noff = UTIF._readIFD(bin, data, ifdo, ifds, 0, false, big);
+		ifdo = big ? bin.readUint64(data, noff) : bin.readUint(data, noff);
 		if(ifdo==0) break;
 	}
 	return ifds;
@@ -165,7 +322,7 @@ UTIF.decode._decompress = function(img,ifds, data, off, len, cmpr, tgt, toff, fo
 	else if(cmpr==5) UTIF.decode._decodeLZW(data, off, tgt, toff);
 	else if(cmpr==6) UTIF.decode._decodeOldJPEG(img, data, off, len, tgt, toff);
 	else if(cmpr==7) UTIF.decode._decodeNewJPEG(img, data, off, len, tgt, toff);
-	else if(cmpr==8) {  var src = new Uint8Array(data.buffer,off,len);  var bin = pako["inflate"](src);  for(var i=0; i<bin.length; i++) tgt[toff+i]=bin[i];  }
+	else if(cmpr==8 || cmpr==32946) {  var src = new Uint8Array(data.buffer,off,len);  var bin = pako["inflate"](src);  for(var i=0; i<bin.length; i++) tgt[toff+i]=bin[i];  }
 	else if(cmpr==32767) UTIF.decode._decodeARW(img, data, off, len, tgt, toff);
 	else if(cmpr==32773) UTIF.decode._decodePackBits(data, off, len, tgt, toff);
 	else if(cmpr==32809) UTIF.decode._decodeThunder (data, off, len, tgt, toff);
@@ -176,17 +333,24 @@ UTIF.decode._decompress = function(img,ifds, data, off, len, cmpr, tgt, toff, fo
 	//console.log(Date.now()-time);
 	
 	var bps = (img["t258"]?Math.min(32,img["t258"][0]):1);
-	var noc = (img["t277"]?img["t277"][0]:1), bpp=(bps*noc)>>>3, h = (img["t278"] ? img["t278"][0] : img.height), bpl = Math.ceil(bps*noc*img.width/8);
+	// tiles are decompressed one at a time, so rows are as wide as a tile
+	var w = (img["t322"] ? img["t322"][0] : img.width), prd = (img["t317"] ? img["t317"][0] : 1), flt = (img["t339"] && img["t339"][0]==3);
+	var noc = (img["t277"]?img["t277"][0]:1), bpp=(bps*noc)>>>3, h = (img["t322"] ? img["t323"][0] : img["t278"] ? img["t278"][0] : img.height), bpl = Math.ceil(bps*noc*w/8);
 	
-	// convert to Little Endian  /*
-	if(bps==16 && !img.isLE && img["t33422"]==null)  // not DNG
+	// convert to Little Endian  /*  (predictor 3 does it below)
+	if(bps==16 && !img.isLE && img["t33422"]==null && prd!=3)  // not DNG
 		for(var y=0; y<h; y++) {
 			//console.log("fixing endianity");
 			var roff = toff+y*bpl;
 			for(var x=1; x<bpl; x+=2) {  var t=tgt[roff+x];  tgt[roff+x]=tgt[roff+x-1];  tgt[roff+x-1]=t;  }
 		}  //*/
+	if(bps==32 && flt && !img.isLE && prd!=3)
+		for(var y=0; y<h; y++) {
+			var roff = toff+y*bpl;
+			for(var x=0; x<bpl; x+=4) {  var t=tgt[roff+x];  tgt[roff+x]=tgt[roff+x+3];  tgt[roff+x+3]=t;  t=tgt[roff+x+1];  tgt[roff+x+1]=tgt[roff+x+2];  tgt[roff+x+2]=t;  }
+		}
 
-	if(img["t317"] && img["t317"][0]==2)
+	if(prd==2)
 	{
 		for(var y=0; y<h; y++)
 		{
@@ -204,6 +368,17 @@ UTIF.decode._decompress = function(img,ifds, data, off, len, cmpr, tgt, toff, fo
 			else for(var j=bpp; j<bpl; j++) tgt[ntoff+j] = (tgt[ntoff+j] + tgt[ntoff+j-bpp])&255;
 		}
 	}
+	else if(prd==3)  // floating point: byte differences, then byte planes (most significant first) to Little Endian samples
+	{
+		var bps8 = bps>>>3, wc = w*noc, row = new Uint8Array(bpl);
+		for(var y=0; y<h; y++)
+		{
+			var ntoff = toff+y*bpl;  if(ntoff+bpl>tgt.length) break;
+			for(var j=noc; j<bpl; j++) tgt[ntoff+j] = (tgt[ntoff+j] + tgt[ntoff+j-noc])&255;
+			for(var j=0; j<bpl; j++) row[j] = tgt[ntoff+j];
+			for(var i=0; i<wc; i++) for(var b=0; b<bps8; b++) tgt[ntoff+i*bps8+b] = row[(bps8-b-1)*wc+i];
+		}
+	}
 }
 
 UTIF.decode._ljpeg_diff = function(data, prm, huff) {
@@ -888,11 +1063,14 @@ UTIF.decode._decodeLZW = function(data, off, tgt, toff)
 UTIF.decode._copyData = function(s,so,t,to,l) {  for(var i=0;i<l;i+=4) {  t[to+i]=s[so+i];  t[to+i+1]=s[so+i+1];  t[to+i+2]=s[so+i+2];  t[to+i+3]=s[so+i+3];  }  }
 
 UTIF.tags = {};
-UTIF.ttypes = {  256:3,257:3,258:3,   259:3, 262:3,  273:4,  274:3, 277:3,278:4,279:4, 282:5, 283:5, 284:3, 286:5,287:5, 296:3, 305:2, 306:2, 338:3, 513:4, 514:4, 34665:4  };
+UTIF.ttypes = {  254:4,255:3,256:3,257:3,258:3,   259:3, 262:3,263:3,264:3,265:3,266:3, 269:2,270:2,271:2,272:2,  273:4,  274:3, 277:3,278:4,279:4, 280:3,281:3, 282:5, 283:5, 284:3, 285:2, 286:5,287:5, 290:3,291:3, 292:4,293:4, 296:3, 297:3, 301:3,
+				305:2, 306:2, 315:2,316:2, 317:3, 318:5,319:5, 320:3, 321:3, 322:4,323:4,324:4,325:4, 332:3, 338:3, 339:3, 347:7, 513:4, 514:4, 529:5,530:3,531:3,532:5,
+				700:1, 33432:2, 33723:7, 34377:1, 34665:4, 34675:7  };
 
-UTIF._readIFD = function(bin, data, offset, ifds, depth, debug)
+UTIF._readIFD = function(bin, data, offset, ifds, depth, debug, big)
 {
-	var cnt = bin.readUshort(data, offset);  offset+=2;
+	// BigTIFF IFDs have an 8-byte entry count and 20-byte entries (8-byte count and value/offset)
+	var cnt = big ? bin.readUint64(data, offset) : bin.readUshort(data, offset);  offset+= big ? 8 : 2;
 	var ifd = {};  ifds.push(ifd);
 
 	if(debug) log("   ".repeat(depth),ifds.length-1,">>>----------------");
@@ -900,24 +1078,26 @@ UTIF._readIFD = function(bin, data, offset, ifds, depth, debug)
 	{
 		var tag  = bin.readUshort(data, offset);    offset+=2;
 		var type = bin.readUshort(data, offset);    offset+=2;
-		var num  = bin.readUint  (data, offset);    offset+=4;
-		var voff = bin.readUint  (data, offset);    offset+=4;
+		var num  = big ? bin.readUint64(data, offset) : bin.readUint(data, offset);    offset+= big ? 8 : 4;
+		var voff = big ? bin.readUint64(data, offset) : bin.readUint(data, offset);    offset+= big ? 8 : 4;
+		var isz = big ? 8 : 4, ioff = offset-isz;  // values of up to isz bytes are stored in place of the offset
 		//if(tag==33723) {type=1; num*=4;}//console.log(type,num,voff);//type = 1;  // IPTC/NAA
 
 		var arr = [];
 		//ifd["t"+tag+"-"+UTIF.tags[tag]] = arr;
-		if(type== 1 || type==7) {  arr = new Uint8Array(data.buffer, (num<5 ? offset-4 : voff), num);  }
-		if(type== 2) {  var o0 = (num<5 ? offset-4 : voff), c=data[o0];  
+		if(type== 1 || type==7) {  arr = new Uint8Array(data.buffer, (num<=isz ? ioff : voff), num);  }
+		if(type== 2) {  var o0 = (num<=isz ? ioff : voff), c=data[o0];  
 						if(c<128) arr.push( bin.readASCII(data, o0, num-1) );
 						else      arr = new Uint8Array(data.buffer, o0, num-1);  }
-		if(type== 3) {  for(var j=0; j<num; j++) arr.push(bin.readUshort(data, (num<3 ? offset-4 : voff)+2*j));  }
-		if(type== 4) {  for(var j=0; j<num; j++) arr.push(bin.readUint  (data, (num<2 ? offset-4 : voff)+4*j));  }
-		if(type== 5) {  for(var j=0; j<num; j++) arr.push(bin.readUint  (data, voff+j*8) / bin.readUint(data,voff+j*8+4));  }
-		if(type== 8) {  for(var j=0; j<num; j++) arr.push(bin.readShort (data, (num<3 ? offset-4 : voff)+2*j));  }
-		if(type== 9) {  for(var j=0; j<num; j++) arr.push(bin.readInt   (data, (num<2 ? offset-4 : voff)+4*j));  }
-		if(type==10) {  for(var j=0; j<num; j++) arr.push(bin.readInt   (data, voff+j*8) / bin.readInt (data,voff+j*8+4));  }
-		if(type==11) {  for(var j=0; j<num; j++) arr.push(bin.readFloat (data, voff+j*4));  }
-		if(type==12) {  for(var j=0; j<num; j++) arr.push(bin.readDouble(data, voff+j*8));  }
+		if(type== 3) {  for(var j=0; j<num; j++) arr.push(bin.readUshort(data, (num*2<=isz ? ioff : voff)+2*j));  }
+		if(type== 4 || type==13) {  for(var j=0; j<num; j++) arr.push(bin.readUint  (data, (num*4<=isz ? ioff : voff)+4*j));  }
+		if(type== 5) {  var o5 = (num*8<=isz ? ioff : voff);  for(var j=0; j<num; j++) arr.push(bin.readUint  (data, o5+j*8) / bin.readUint(data,o5+j*8+4));  }
+		if(type== 8) {  for(var j=0; j<num; j++) arr.push(bin.readShort (data, (num*2<=isz ? ioff : voff)+2*j));  }
+		if(type== 9) {  for(var j=0; j<num; j++) arr.push(bin.readInt   (data, (num*4<=isz ? ioff : voff)+4*j));  }
+		if(type==10) {  var o10 = (num*8<=isz ? ioff : voff);  for(var j=0; j<num; j++) arr.push(bin.readInt   (data, o10+j*8) / bin.readInt (data,o10+j*8+4));  }
+		if(type==11) {  for(var j=0; j<num; j++) arr.push(bin.readFloat (data, (num*4<=isz ? ioff : voff)+j*4));  }
+		if(type==12) {  for(var j=0; j<num; j++) arr.push(bin.readDouble(data, (num*8<=isz ? ioff : voff)+j*8));  }
+		if(type==16 || type==18) {  for(var j=0; j<num; j++) arr.push(bin.readUint64(data, (num*8<=isz ? ioff : voff)+8*j));  }  // LONG8, IFD8 (BigTIFF)
 		
 		ifd["t"+tag] = arr;
 		
@@ -929,7 +1109,7 @@ UTIF._readIFD = function(bin, data, offset, ifds, depth, debug)
 		else if(tag==330 || tag==34665 || (tag==50740 && bin.readUshort(data,bin.readUint(arr,0))<300  )) {
 			var oarr = tag==50740 ? [bin.readUint(arr,0)] : arr;
 			var subfd = [];
-			for(var j=0; j<oarr.length; j++) UTIF._readIFD(bin, data, oarr[j], subfd, depth+1, debug);
+			for(var j=0; j<oarr.length; j++) UTIF._readIFD(bin, data, oarr[j], subfd, depth+1, debug, big && tag!=50740);
 			if(tag==  330) ifd.subIFD = subfd;
 			if(tag==34665) ifd.exifIFD = subfd[0];
 			if(tag==50740) ifd.dngPrvt = subfd[0];
@@ -964,10 +1144,11 @@ UTIF._writeIFD = function(bin, data, offset, ifd)
 		bin.writeUshort(data, offset, type);  offset+=2;
 		bin.writeUint  (data, offset, num );  offset+=4;
 
-		var dlen = [-1, 1, 1, 2, 4, 8, 0, 0, 0, 0, 0, 0, 8][type] * num;
+		var dlen = [-1, 1, 1, 2, 4, 8, 0, 1, 0, 0, 0, 0, 8][type] * num;
 		var toff = offset;
 		if(dlen>4) {  bin.writeUint(data, offset, eoff);  toff=eoff;  }
 
+		if(type==1 || type==7) {  for(var i=0; i<num; i++) data[toff+i] = val[i];    }
 		if(type==2) {  bin.writeASCII(data, toff, val);   }
 		if(type==3) {  for(var i=0; i<num; i++) bin.writeUshort(data, toff+2*i, val[i]);    }
 		if(type==4) {  for(var i=0; i<num; i++) bin.writeUint  (data, toff+4*i, val[i]);    }
@@ -988,7 +1169,24 @@ UTIF.toRGBA8 = function(out)
 	// 0: WhiteIsZero, 1: BlackIsZero, 2: RGB, 3: Palette color, 4: Transparency mask, 5: CMYK
 	var intp = (out["t262"] ? out["t262"][0]: 2), bps = (out["t258"]?Math.min(32,out["t258"][0]):1);
 	//log("interpretation: ", intp, "bps", bps, out);
+	var fmt = (out["t339"] ? out["t339"][0] : 1);
 	if(false) {}
+	else if(fmt==3 && bps==32 && intp<=2)  // 32-bit float (Little Endian after decoding)
+	{
+		var smpls = out["t258"]?out["t258"].length : 1, aligned = (data.byteOffset&3)==0;
+		var fd = new Float32Array(aligned ? data.buffer : data.slice().buffer, aligned ? data.byteOffset : 0, area*smpls);
+		if(intp==2 && smpls>=3) for(var i=0; i<area; i++) {  var qi=i<<2, si=i*smpls;
+			for(var c=0; c<3; c++) img[qi+c] = Math.max(0, Math.min(255, Math.round(fd[si+c]*255)));
+			img[qi+3] = smpls>3 ? Math.max(0, Math.min(255, Math.round(fd[si+3]*255))) : 255;
+		}
+		else {  // gray: stretch between the smallest and largest values, skipping NaN, infinities and GDAL's nodata
+			var nodata = out["t42113"] ? parseFloat(out["t42113"][0]) : NaN, min = Infinity, max = -Infinity;
+			for(var i=0; i<area; i++) {  var v=fd[i*smpls];  if(v>-Infinity && v<Infinity && v!=nodata) {  if(v<min) min=v;  if(v>max) max=v;  }  }
+			var sc = max>min ? 255/(max-min) : 0;
+			for(var i=0; i<area; i++) {  var qi=i<<2, v=fd[i*smpls], ok=(v>-Infinity && v<Infinity && v!=nodata), g=ok ? Math.round((v-min)*sc) : 0;
+				img[qi]=img[qi+1]=img[qi+2]=(intp==0 ? 255-g : g);  img[qi+3]=ok ? 255 : 0;    }
+		}
+	}
 	else if(intp==0)
 	{
 		var bpl = Math.ceil(bps*w/8);
@@ -1087,6 +1285,7 @@ UTIF._binBE =
 	readShort  : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+1];  a[1]=buff[p+0];                                    return UTIF._binBE. i16[0];  },
 	readInt    : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+3];  a[1]=buff[p+2];  a[2]=buff[p+1];  a[3]=buff[p+0];  return UTIF._binBE. i32[0];  },
 	readUint   : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+3];  a[1]=buff[p+2];  a[2]=buff[p+1];  a[3]=buff[p+0];  return UTIF._binBE.ui32[0];  },
+	readUint64 : function(buff, p) {  return UTIF._binBE.readUint(buff, p)*4294967296 + UTIF._binBE.readUint(buff, p+4);  },  // exact up to 2^53
 	readASCII  : function(buff, p, l) {  var s = "";   for(var i=0; i<l; i++) s += String.fromCharCode(buff[p+i]);   return s; },
 	readFloat  : function(buff, p) {  var a=UTIF._binBE.ui8;  for(var i=0;i<4;i++) a[i]=buff[p+3-i];  return UTIF._binBE.fl32[0];  },
 	readDouble : function(buff, p) {  var a=UTIF._binBE.ui8;  for(var i=0;i<8;i++) a[i]=buff[p+7-i];  return UTIF._binBE.fl64[0];  },
@@ -1114,9 +1313,19 @@ UTIF._binLE =
 	readShort  : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+0];  a[1]=buff[p+1];                                    return UTIF._binBE. i16[0];  },
 	readInt    : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+0];  a[1]=buff[p+1];  a[2]=buff[p+2];  a[3]=buff[p+3];  return UTIF._binBE. i32[0];  },
 	readUint   : function(buff, p) {  var a=UTIF._binBE.ui8;  a[0]=buff[p+0];  a[1]=buff[p+1];  a[2]=buff[p+2];  a[3]=buff[p+3];  return UTIF._binBE.ui32[0];  },
+	readUint64 : function(buff, p) {  return UTIF._binLE.readUint(buff, p+4)*4294967296 + UTIF._binLE.readUint(buff, p);  },
 	readASCII  : UTIF._binBE.readASCII,
 	readFloat  : function(buff, p) {  var a=UTIF._binBE.ui8;  for(var i=0;i<4;i++) a[i]=buff[p+  i];  return UTIF._binBE.fl32[0];  },
-	readDouble : function(buff, p) {  var a=UTIF._binBE.ui8;  for(var i=0;i<8;i++) a[i]=buff[p+  i];  return UTIF._binBE.fl64[0];  }
+	readDouble : function(buff, p) {  var a=UTIF._binBE.ui8;  for(var i=0;i<8;i++) a[i]=buff[p+  i];  return UTIF._binBE.fl64[0];  },
+
+	writeUshort: function(buff, p, n) {  buff[p] =  n&255;  buff[p+1] = (n>> 8)&255;  },
+	writeUint  : function(buff, p, n) {  buff[p] =  n&255;  buff[p+1] = (n>> 8)&255;  buff[p+2] = (n>>16)&255;  buff[p+3] = (n>>24)&255;  },
+	writeASCII : UTIF._binBE.writeASCII,
+	writeDouble: function(buff, p, n)
+	{
+		UTIF._binBE.fl64[0] = n;
+		for (var i = 0; i < 8; i++) buff[p + i] = UTIF._binBE.ui8[i];
+	}
 }
 UTIF._copyTile = function(tb, tw, th, b, w, h, xoff, yoff)
 {
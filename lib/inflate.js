@@ -0,0 +1,232 @@
+/**
+ * TIFF Viewer - Inflate
+ *
+ * A small synchronous decoder for zlib streams (RFC 1950) and raw DEFLATE
+ * data (RFC 1951). UTIF.js uses it for Deflate-compressed TIFFs
+ * (compression 8 and 32946) when pako isn't loaded. The browser's
+ * DecompressionStream can't be used there, since it is asynchronous and
+ * UTIF decodes synchronously.
+ *
+ * Must be loaded before UTIF.js, which picks up zlibInflate() when it loads.
+ * Only uses APIs that exist in workers and content scripts.
+ */
+
+/** Base lengths and extra bits of length symbols 257-285 (RFC 1951, 3.2.5) */
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+/** Base distances and extra bits of distance symbols 0-29 */
+const INFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+/** Order in which code length code lengths are sent (3.2.7) */
+const INFLATE_CLEN_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** Fixed Huffman tables (3.2.6), built on first use */
+let inflateFixedTables = null;
+
+/**
+ * Build a lookup table for a canonical Huffman code
+ *
+ * The table is indexed by the next `bits` input bits (least significant
+ * first, as DEFLATE packs them); entries are (symbol << 4) | code length,
+ * or 0 for bit patterns that are not a code.
+ *
+ * @param {ArrayLike<number>} lengths - Code length of each symbol (0 = unused)
+ * @returns {{table: Uint32Array, bits: number}}
+ */
+function buildInflateTable(lengths) {
+  const counts = new Uint16Array(16);
+  let bits = 0;
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+    bits = Math.max(bits, lengths[i]);
+  }
+  counts[0] = 0;
+
+  // First code of each length
+  const nextCode = new Uint16Array(16);
+  let code = 0;
+  for (let length = 1; length < 16; length++) {
+    code = (code + counts[length - 1]) << 1;
+    nextCode[length] = code;
+  }
+
+  const size = 1 << bits;
+  const table = new Uint32Array(size);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (!length) continue;
+
+    // Codes are sent most significant bit first
+    const value = nextCode[length]++;
+    let reversed = 0;
+    for (let i = 0; i < length; i++) reversed |= ((value >> i) & 1) << (length - 1 - i);
+    for (let i = reversed; i < size; i += 1 << length) table[i] = (symbol << 4) | length;
+  }
+
+  return { table, bits };
+}
+
+/**
+ * Decompress zlib or raw DEFLATE data
+ *
+ * A zlib header is recognized and skipped; the Adler-32 checksum is not
+ * checked.
+ *
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function zlibInflate(data) {
+  let pos = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  let out = new Uint8Array(Math.max(1024, data.length * 4));
+  let outPos = 0;
+
+  const ensure = (count) => {
+    if (outPos + count <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outPos + count));
+    grown.set(out.subarray(0, outPos));
+    out = grown;
+  };
+
+  // Missing bytes at the end read as zeros, so a code can be peeked at
+  // before it is known to fit; reading far past the end is an error
+  const need = (count) => {
+    while (bitCount < count) {
+      if (pos >= data.length + 4) throw new Error('Deflate data is truncated');
+      bitBuffer |= (pos < data.length ? data[pos] : 0) << bitCount;
+      pos++;
+      bitCount += 8;
+    }
+  };
+  const readBits = (count) => {
+    if (count === 0) return 0;
+    need(count);
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+  const readSymbol = ({ table, bits }) => {
+    need(bits);
+    const entry = table[bitBuffer & ((1 << bits) - 1)];
+    const length = entry & 15;
+    if (length === 0) throw new Error('Invalid Huffman code in Deflate data');
+    bitBuffer >>>= length;
+    bitCount -= length;
+    return entry >>> 4;
+  };
+
+  // zlib header: deflate method, window up to 32K, header check
+  if (data.length >= 2 && (data[0] & 0x0f) === 8 && (data[0] >> 4) <= 7 && ((data[0] << 8) | data[1]) % 31 === 0) {
+    if (data[1] & 0x20) throw new Error('Deflate data needs a preset dictionary');
+    pos = 2;
+  }
+
+  let final = 0;
+  while (!final) {
+    final = readBits(1);
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: starts at the next byte boundary
+      pos -= bitCount >> 3;
+      bitBuffer = 0;
+      bitCount = 0;
+      if (pos + 4 > data.length) throw new Error('Deflate data is truncated');
+      const length = data[pos] | (data[pos + 1] << 8);
+      const check = data[pos + 2] | (data[pos + 3] << 8);
+      if ((length ^ 0xffff) !== check) throw new Error('Invalid stored block in Deflate data');
+      pos += 4;
+      if (pos + length > data.length) throw new Error('Deflate data is truncated');
+      ensure(length);
+      out.set(data.subarray(pos, pos + length), outPos);
+      outPos += length;
+      pos += length;
+      continue;
+    }
+
+    let literals;
+    let distances;
+    if (type === 1) {
+      if (!inflateFixedTables) {
+        const lengths = new Uint8Array(288 + 30);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        lengths.fill(5, 288);
+        inflateFixedTables = {
+          literals: buildInflateTable(lengths.subarray(0, 288)),
+          distances: buildInflateTable(lengths.subarray(288))
+        };
+      }
+      ({ literals, distances } = inflateFixedTables);
+    } else if (type === 2) {
+      const literalCount = readBits(5) + 257;
+      const distanceCount = readBits(5) + 1;
+      const codeLengthCount = readBits(4) + 4;
+
+      const codeLengths = new Uint8Array(19);
+      for (let i = 0; i < codeLengthCount; i++) codeLengths[INFLATE_CLEN_ORDER[i]] = readBits(3);
+      const codeLengthTable = buildInflateTable(codeLengths);
+
+      // Literal/length and distance code lengths, run-length coded together
+      const lengths = new Uint8Array(literalCount + distanceCount);
+      for (let i = 0; i < lengths.length;) {
+        const symbol = readSymbol(codeLengthTable);
+        if (symbol < 16) {
+          lengths[i++] = symbol;
+          continue;
+        }
+
+        let value = 0;
+        let repeat;
+        if (symbol === 16) {
+          if (i === 0) throw new Error('Invalid code lengths in Deflate data');
+          value = lengths[i - 1];
+          repeat = 3 + readBits(2);
+        } else if (symbol === 17) {
+          repeat = 3 + readBits(3);
+        } else {
+          repeat = 11 + readBits(7);
+        }
+        if (i + repeat > lengths.length) throw new Error('Invalid code lengths in Deflate data');
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+      }
+
+      literals = buildInflateTable(lengths.subarray(0, literalCount));
+      distances = buildInflateTable(lengths.subarray(literalCount));
+    } else {
+      throw new Error('Invalid block type in Deflate data');
+    }
+
+    for (;;) {
+      let symbol = readSymbol(literals);
+      if (symbol < 256) {
+        ensure(1);
+        out[outPos++] = symbol;
+        continue;
+      }
+      if (symbol === 256) break;
+
+      symbol -= 257;
+      if (symbol >= 29) throw new Error('Invalid length in Deflate data');
+      const length = INFLATE_LENGTH_BASE[symbol] + readBits(INFLATE_LENGTH_EXTRA[symbol]);
+
+      const distanceSymbol = readSymbol(distances);
+      if (distanceSymbol >= 30) throw new Error('Invalid distance in Deflate data');
+      const distance = INFLATE_DIST_BASE[distanceSymbol] + readBits(INFLATE_DIST_EXTRA[distanceSymbol]);
+      if (distance > outPos) throw new Error('Invalid distance in Deflate data');
+
+      ensure(length);
+      for (let i = 0; i < length; i++, outPos++) out[outPos] = out[outPos - distance];
+    }
+  }
+
+  return out.subarray(0, outPos);
+}
@@ -17,10 +17,19 @@
  * 5. Restore the original Worker constructor
  *
  * Message Types:
- * - ocr-init: Initialize the Tesseract worker
- * - ocr-recognize: Process an image and return OCR results
- * - ocr-terminate: Clean up the worker
+ * - ocr-init: Start a Tesseract worker for a language ('eng', 'eng+spa', ...)
+ * - ocr-recognize: Process an image in a language and return OCR results
+ * - ocr-terminate: Clean up idle workers
+ * - ocr-cancel: Drop queued jobs and abort the running recognition
  * - ocr-response: Response sent back to background.js
+ * - ocr-worker-progress: Progress for the running job, tagged with its requestId
+ *
+ * Worker pool: Requests are queued and dispatched to a pool of Tesseract
+ * workers so batch OCR can recognize several pages at once. The pool size
+ * comes with each request (see getOcrPoolSize() in shared/settings.js) and
+ * workers are only started when there is a job for them. Each worker runs
+ * one job at a time and tags its progress with that job's requestId, so
+ * progress always reaches the viewer tab that asked for it.
  */
 
 // Production mode - set to false to enable debug logging
@@ -30,11 +39,24 @@ const logError = DEBUG ? console.error.bind(console) : () => {};
 
 // ==================== State ====================
 
-/** The Tesseract.js worker instance */
-let tesseractWorker = null;
+/**
+ * Pool of worker slots. Each slot:
+ * - worker: Tesseract.js worker instance (null until started)
+ * - language: Languages the worker is initialized with, e.g. 'eng+spa'
+ * - starting: Promise while the worker is being created
+ * - requestId: Job the slot is running (null when idle)
+ * - abort: Rejects the running job (set while busy)
+ */
+const workerPool = [];
+
+/** Maximum number of workers, updated from each request */
+let poolSize = 1;
 
-/** Whether the worker has been initialized and is ready */
-let workerReady = false;
+/** Jobs waiting for a free worker: { requestId, task, resolve, reject, cancelled } */
+const jobQueue = [];
+
+/** Promise for the inlined blob URL, shared by all workers */
+let blobUrlPromise = null;
 
 /** Base URL for loading Tesseract files from the extension */
 const baseUrl = chrome.runtime.getURL('lib');
@@ -48,6 +70,8 @@ const baseUrl = chrome.runtime.getURL('lib');
  * them into a single blob. The blob includes:
  * - A mocked importScripts (no-op since everything is inlined)
  * - Debug wrappers for postMessage
+ * - shared/ocr-languages.js and a fetch wrapper that serves imported
+ *   traineddata from IndexedDB (Tesseract only knows how to fetch by URL)
  * - The Tesseract core WASM loader
  * - The Tesseract worker script
  *
@@ -56,9 +80,10 @@ const baseUrl = chrome.runtime.getURL('lib');
 async function createInlinedWorkerBlob() {
   log('[OCR Offscreen] Fetching scripts for blob...');
 
-  const [workerCode, coreCode] = await Promise.all([
+  const [workerCode, coreCode, languagesCode] = await Promise.all([
     fetch(baseUrl + '/tesseract-worker.min.js').then(r => r.text()),
-    fetch(baseUrl + '/tesseract-core-simd.wasm.js').then(r => r.text())
+    fetch(baseUrl + '/tesseract-core-simd.wasm.js').then(r => r.text()),
+    fetch(chrome.runtime.getURL('shared/ocr-languages.js')).then(r => r.text())
   ]);
 
   log('[OCR Offscreen] Creating inlined blob...');
@@ -68,6 +93,20 @@ async function createInlinedWorkerBlob() {
 // Mock importScripts - core is inlined
 self.importScripts = function() {};
 
+// Inlined OCR language storage
+${languagesCode}
+
+// Serve imported languages for <langPath>/<code>.traineddata.gz, packaged ones from lib/
+const packagedFetch = self.fetch.bind(self);
+self.fetch = async function(input, init) {
+  const match = /[/]([a-z_]+)\\.traineddata(\\.gz)?$/i.exec(String(input));
+  if (match) {
+    const data = await getImportedLanguage(match[1]).catch(() => null);
+    if (data) return new Response(data);
+  }
+  return packagedFetch(input, init);
+};
+
 // Inlined Tesseract Core
 ${coreCode}
 
@@ -82,86 +121,179 @@ ${workerCode}
 // ==================== Worker Initialization ====================
 
 /**
- * Initialize the Tesseract worker using Worker constructor patching
+ * Create a Tesseract worker using Worker constructor patching
  *
  * The trick here is to temporarily replace the global Worker constructor
  * so that when Tesseract.js tries to create its worker, it gets our
  * pre-built blob worker instead of trying to load from a URL.
  *
  * Steps:
- * 1. Create the inlined blob URL
+ * 1. Create the inlined blob URL (once for the whole pool)
  * 2. Save the original Worker constructor
  * 3. Replace Worker with a version that always uses our blob
  * 4. Call Tesseract.createWorker() - it will use our patched Worker
  * 5. Restore the original Worker constructor
+ *
+ * Tesseract spawns its Web Worker synchronously inside createWorker(), so
+ * the constructor is restored before the language data loads and several
+ * slots can start at the same time.
+ *
+ * @param {Object} slot - Pool slot; progress is tagged with its requestId
+ * @param {string} language - Language codes joined with '+', e.g. 'eng+spa'
  */
-async function initWorker() {
-  if (tesseractWorker && workerReady) return;
-
+async function createTesseractWorker(slot, language) {
   log('[OCR Offscreen] Initializing...');
 
-  try {
-    if (typeof Tesseract === 'undefined') {
-      throw new Error('Tesseract library not loaded');
-    }
-
-    // Create our inlined blob URL first
-    const blobUrl = await createInlinedWorkerBlob();
-    log('[OCR Offscreen] Blob URL created');
-
-    // Patch the global Worker constructor to intercept Tesseract's worker creation
-    const OriginalWorker = self.Worker;
-    self.Worker = function(url, options) {
-      log('[OCR Offscreen] Worker constructor intercepted, using blob');
-      // Always use our blob instead of whatever URL Tesseract tries to use
-      return new OriginalWorker(blobUrl, options);
-    };
+  if (typeof Tesseract === 'undefined') {
+    throw new Error('Tesseract library not loaded');
+  }
 
+  if (!blobUrlPromise) {
+    blobUrlPromise = createInlinedWorkerBlob().catch((err) => {
+      blobUrlPromise = null;
+      throw err;
+    });
+  }
+  const blobUrl = await blobUrlPromise;
+  log('[OCR Offscreen] Blob URL created');
+
+  // Patch the global Worker constructor to intercept Tesseract's worker creation
+  const OriginalWorker = self.Worker;
+  self.Worker = function(url, options) {
+    log('[OCR Offscreen] Worker constructor intercepted, using blob');
+    // Always use our blob instead of whatever URL Tesseract tries to use
+    return new OriginalWorker(blobUrl, options);
+  };
+
+  let workerPromise;
+  try {
     // Now use Tesseract.js API - it will use our patched Worker
-    tesseractWorker = await Tesseract.createWorker('eng', 1, {
+    workerPromise = Tesseract.createWorker(language, 1, {
       langPath: baseUrl,
       gzip: true,
       cacheMethod: 'none',
       logger: (m) => {
         log('[OCR Offscreen] Progress:', m.status, Math.round(m.progress * 100) + '%');
+        if (slot.requestId === null) return;
         chrome.runtime.sendMessage({
-          type: 'ocr-progress',
+          type: 'ocr-worker-progress',
+          requestId: slot.requestId,
           status: m.status,
           progress: m.progress
         }).catch(() => {});
       }
     });
-
+  } finally {
     // Restore original Worker constructor
     self.Worker = OriginalWorker;
+  }
+  return workerPromise;
+}
+
+/**
+ * Make sure a slot has a ready worker for a language
+ *
+ * Starts a worker if the slot has none, and switches an existing worker
+ * to another language with reinitialize(). A cancelled job stops after each
+ * step: its slot may already be running the next job.
+ */
+async function ensureWorker(slot, language, job) {
+  await checkLanguageInstalled(language);
+  throwIfCancelled(job);
+
+  if (!slot.worker && !slot.starting) {
+    slot.starting = createTesseractWorker(slot, language)
+      .then((worker) => {
+        slot.worker = worker;
+        slot.language = language;
+        log('[OCR Offscreen] Tesseract worker ready, pool:', workerPool.length);
+      })
+      .catch((err) => {
+        logError('[OCR Offscreen] Init failed:', err);
+        throw err;
+      })
+      .finally(() => {
+        slot.starting = null;
+      });
+  }
+  if (slot.starting) {
+    await slot.starting;
+  }
+  throwIfCancelled(job);
+
+  if (slot.language !== language) {
+    log('[OCR Offscreen] Switching worker language');
+    try {
+      await slot.worker.reinitialize(language);
+      slot.language = language;
+    } catch (err) {
+      resetWorker(slot);
+      throw err;
+    }
+  }
+  return slot.worker;
+}
 
-    workerReady = true;
-    log('[OCR Offscreen] Tesseract worker ready');
+/**
+ * Fail early with a helpful message if a language has no traineddata
+ */
+async function checkLanguageInstalled(language) {
+  const available = await getAvailableOcrLanguages();
+  const missing = language.split('+').filter(code => !available.includes(code));
+  if (missing.length > 0) {
+    throw new Error(`OCR language not installed: ${missing.join(', ')}. Import its traineddata on the options page.`);
+  }
+}
 
-  } catch (err) {
-    logError('[OCR Offscreen] Init failed:', err);
-    throw err;
+/**
+ * Terminate a slot's worker so its next job starts with a fresh one
+ *
+ * This is the only way to stop a recognition that is already running.
+ */
+function resetWorker(slot) {
+  if (slot.worker) {
+    slot.worker.terminate().catch(() => {});
   }
+  slot.worker = null;
+  slot.language = null;
+}
+
+/**
+ * Create the error used to reject cancelled jobs
+ */
+function cancelledError() {
+  const err = new Error('OCR cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+/**
+ * Stop a job's task once the job has been cancelled (see cancelJobs)
+ */
+function throwIfCancelled(job) {
+  if (job.cancelled) throw cancelledError();
 }
 
 /**
  * Recognize text with timeout
+ *
+ * On timeout the worker is terminated because Tesseract cannot abort a
+ * recognize() call.
  */
-async function recognize(imageData) {
-  if (!tesseractWorker || !workerReady) {
-    await initWorker();
-  }
+async function recognize(slot, language, imageData, job) {
+  const worker = await ensureWorker(slot, language, job);
+  throwIfCancelled(job);
 
   log('[OCR Offscreen] Starting recognition...');
 
-  // Add timeout wrapper
+  let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Recognition timed out after 3 minutes')), 180000);
+    timeoutId = setTimeout(() => reject(new Error('Recognition timed out after 3 minutes')), 180000);
   });
 
   try {
     const result = await Promise.race([
-      tesseractWorker.recognize(imageData),
+      worker.recognize(imageData),
       timeoutPromise
     ]);
     log('[OCR Offscreen] Recognition complete, result:', result ? 'received' : 'null');
@@ -181,7 +313,117 @@ async function recognize(imageData) {
     };
   } catch (err) {
     logError('[OCR Offscreen] Recognition error:', err);
+    if (slot.worker === worker) resetWorker(slot);
     throw err;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ==================== Job Scheduling ====================
+
+/**
+ * Queue a task to run on the next free worker slot
+ * @param {number} requestId - Used to tag progress and to cancel the job
+ * @param {string} language - Preferred to pick a worker that already has it loaded
+ * @param {Function} task - async (slot, job) => result; checks job.cancelled
+ *   after each await, since it keeps running after the job is rejected
+ * @returns {Promise} Result of the task
+ */
+function enqueueJob(requestId, language, task) {
+  return new Promise((resolve, reject) => {
+    jobQueue.push({ requestId, language, task, resolve, reject, cancelled: false });
+    dispatchJobs();
+  });
+}
+
+/**
+ * Start queued jobs on idle slots, adding slots up to poolSize
+ *
+ * An idle worker that already has the job's language loaded is preferred,
+ * then a new slot, then any idle worker (which switches language).
+ */
+function dispatchJobs() {
+  while (jobQueue.length > 0) {
+    const job = jobQueue[0];
+    const idle = workerPool.filter(s => s.requestId === null);
+    let slot = idle.find(s => s.language === job.language);
+    if (!slot && workerPool.length < poolSize) {
+      slot = { worker: null, language: null, starting: null, requestId: null, abort: null };
+      workerPool.push(slot);
+    }
+    slot = slot || idle[0];
+    if (!slot) return;
+
+    jobQueue.shift();
+    runJob(slot, job);
+  }
+}
+
+/**
+ * Run one job on a slot, then hand the slot to the next job
+ */
+async function runJob(slot, job) {
+  slot.requestId = job.requestId;
+  const abortPromise = new Promise((_, reject) => {
+    slot.abort = () => {
+      job.cancelled = true;
+      reject(cancelledError());
+    };
+  });
+
+  try {
+    job.resolve(await Promise.race([job.task(slot, job), abortPromise]));
+  } catch (err) {
+    job.reject(err);
+  } finally {
+    slot.requestId = null;
+    slot.abort = null;
+    // The cap may have been lowered while this job ran
+    terminateIdleWorkers(poolSize);
+    dispatchJobs();
+  }
+}
+
+/**
+ * Cancel jobs by requestId
+ *
+ * Queued jobs are dropped. A running recognition is aborted by terminating
+ * its worker so the slot is free right away. A worker that is still starting
+ * up is left to finish for the next job on that slot; the cancelled job's
+ * task sees job.cancelled once the worker is ready and stops before
+ * recognizing anything.
+ */
+function cancelJobs(requestIds) {
+  const cancelled = new Set(requestIds);
+
+  for (let i = jobQueue.length - 1; i >= 0; i--) {
+    if (cancelled.has(jobQueue[i].requestId)) {
+      jobQueue.splice(i, 1)[0].reject(cancelledError());
+    }
+  }
+
+  for (const slot of workerPool) {
+    if (slot.requestId !== null && cancelled.has(slot.requestId)) {
+      log('[OCR Offscreen] Aborting request:', slot.requestId);
+      if (slot.worker) resetWorker(slot);
+      slot.abort();
+    }
+  }
+}
+
+/**
+ * Terminate idle workers until at most `limit` slots remain
+ *
+ * Busy workers are left alone - they belong to jobs of other viewers.
+ */
+function terminateIdleWorkers(limit) {
+  for (let i = workerPool.length - 1; i >= 0 && workerPool.length > limit; i--) {
+    const slot = workerPool[i];
+    if (slot.requestId === null && !slot.starting) {
+      resetWorker(slot);
+      workerPool.splice(i, 1);
+    }
   }
 }
 
@@ -191,11 +433,31 @@ async function recognize(imageData) {
 // We process the request and send back an ocr-response message
 // with the same requestId so background can match it to the callback.
 //
+// The viewer's own ocr-* messages also reach this document (runtime
+// messages go to every extension page). They have no requestId and are
+// ignored - background.js forwards them to us.
+//
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const { type, requestId } = message;
+
+  // Cancellation carries the requestIds to cancel and gets no response
+  if (type === 'ocr-cancel') {
+    if (Array.isArray(message.requestIds)) {
+      cancelJobs(message.requestIds);
+    }
+    return false;
+  }
+
+  if (requestId == null) return false;
   log('[OCR Offscreen] Received:', type, 'requestId:', requestId);
 
+  if (Number.isInteger(message.poolSize) && message.poolSize > 0) {
+    poolSize = message.poolSize;
+  }
+
+  const language = message.language || 'eng';
+
   // Helper to send response back to background
   function respond(response) {
     chrome.runtime.sendMessage({
@@ -205,26 +467,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
   }
 
+  // Helper to report a failed or cancelled job
+  function fail(err) {
+    respond({ success: false, cancelled: !!err.cancelled, error: err.message || String(err) });
+  }
+
+  if ((type === 'ocr-init' || type === 'ocr-recognize') && !isValidOcrLanguage(language)) {
+    respond({ success: false, error: 'Invalid OCR language' });
+    return false;
+  }
+
   if (type === 'ocr-init') {
-    initWorker()
+    enqueueJob(requestId, language, (slot, job) => ensureWorker(slot, language, job))
       .then(() => respond({ success: true }))
-      .catch(err => respond({ success: false, error: err.message || String(err) }));
+      .catch(fail);
     return false;
   }
 
   if (type === 'ocr-recognize') {
-    recognize(message.imageData)
+    enqueueJob(requestId, language, (slot, job) => recognize(slot, language, message.imageData, job))
       .then(data => respond({ success: true, data }))
-      .catch(err => respond({ success: false, error: err.message || String(err) }));
+      .catch(fail);
     return false;
   }
 
   if (type === 'ocr-terminate') {
-    if (tesseractWorker) {
-      tesseractWorker.terminate();
-      tesseractWorker = null;
-      workerReady = false;
-    }
+    terminateIdleWorkers(0);
     respond({ success: true });
     return false;
   }
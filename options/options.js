@@ -0,0 +1,352 @@
+/**
+ * TIFF Viewer - Options Page
+ *
+ * Edits the settings defined in shared/settings.js. Changes are saved to
+ * chrome.storage.sync as soon as a control changes; background.js and
+ * open viewers pick them up through chrome.storage.onChanged.
+ *
+ * @requires shared/settings.js - For DEFAULT_SETTINGS / loadSettings / saveSettings
+ * @requires shared/ocr-languages.js - For importing OCR traineddata into IndexedDB
+ * @requires shared/ocr-cache.js - For OCR cache usage and clearing
+ */
+
+// Production mode - set to false to enable debug logging
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+const logError = DEBUG ? console.error.bind(console) : () => {};
+
+/** Labels for the site actions defined in shared/settings.js */
+const ACTION_LABELS = {
+  view: 'Always view',
+  download: 'Always download',
+  ask: 'Ask'
+};
+
+class OptionsPage {
+  constructor() {
+    // Cache DOM elements
+    this.elements = {
+      siteRules: document.querySelector('#site-rules tbody'),
+      siteRuleForm: document.getElementById('site-rule-form'),
+      siteRuleOrigin: document.getElementById('site-rule-origin'),
+      siteRuleAction: document.getElementById('site-rule-action'),
+      defaultAction: document.getElementById('default-action'),
+      inlineImages: document.getElementById('inline-images'),
+      ocrMaxWorkers: document.getElementById('ocr-max-workers'),
+      ocrWorkersHint: document.getElementById('ocr-workers-hint'),
+      ocrLanguages: document.querySelector('#ocr-languages tbody'),
+      ocrLanguageFile: document.getElementById('ocr-language-file'),
+      ocrCache: document.getElementById('ocr-cache'),
+      ocrCacheLimit: document.getElementById('ocr-cache-limit'),
+      ocrCacheUsage: document.getElementById('ocr-cache-usage'),
+      status: document.getElementById('status'),
+    };
+
+    /** Timer for hiding the "Saved" status message */
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.fillActionSelect(this.elements.siteRuleAction);
+    this.fillActionSelect(this.elements.defaultAction);
+    this.fillWorkerSelect();
+    this.fillCacheLimitSelect();
+
+    this.setupEventListeners();
+    this.render(await loadSettings());
+    this.renderOcrLanguages();
+    this.renderOcrCacheUsage();
+
+    // Stay in sync with rules added elsewhere (e.g. "remember" in the viewer's ask prompt)
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName === 'sync') this.render(await loadSettings());
+    });
+  }
+
+  setupEventListeners() {
+    this.elements.siteRuleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addSiteRule();
+    });
+
+    this.elements.defaultAction.addEventListener('change', (e) => {
+      this.save({ defaultAction: e.target.value });
+    });
+
+    this.elements.inlineImages.addEventListener('change', (e) => {
+      this.save({ inlineImages: e.target.checked });
+    });
+
+    this.elements.ocrMaxWorkers.addEventListener('change', (e) => {
+      this.save({ ocrMaxWorkers: Number(e.target.value) });
+    });
+
+    document.getElementById('btn-import-language').addEventListener('click', () => {
+      this.elements.ocrLanguageFile.click();
+    });
+
+    this.elements.ocrLanguageFile.addEventListener('change', async (e) => {
+      await this.importOcrLanguages([...e.target.files]);
+      e.target.value = '';
+    });
+
+    this.elements.ocrCache.addEventListener('change', (e) => {
+      this.save({ ocrCache: e.target.checked });
+    });
+
+    this.elements.ocrCacheLimit.addEventListener('change', (e) => {
+      this.save({ ocrCacheLimitMB: Number(e.target.value) });
+    });
+
+    document.getElementById('btn-clear-ocr-cache').addEventListener('click', () => this.clearOcrCache());
+  }
+
+  /**
+   * Update all controls from a settings object
+   */
+  render(settings) {
+    this.settings = settings;
+    this.elements.defaultAction.value = settings.defaultAction;
+    this.elements.inlineImages.checked = settings.inlineImages;
+    this.elements.ocrMaxWorkers.value = String(settings.ocrMaxWorkers);
+    this.elements.ocrCache.checked = settings.ocrCache;
+    this.elements.ocrCacheLimit.value = String(settings.ocrCacheLimitMB);
+    this.elements.ocrCacheLimit.disabled = !settings.ocrCache;
+    this.renderSiteRules();
+  }
+
+  fillActionSelect(select) {
+    for (const action of SITE_ACTIONS) {
+      const option = document.createElement('option');
+      option.value = action;
+      option.textContent = ACTION_LABELS[action];
+      select.appendChild(option);
+    }
+  }
+
+  fillWorkerSelect() {
+    for (let count = 1; count <= OCR_MAX_WORKERS_LIMIT; count++) {
+      const option = document.createElement('option');
+      option.value = String(count);
+      option.textContent = String(count);
+      this.elements.ocrMaxWorkers.appendChild(option);
+    }
+
+    const cores = navigator.hardwareConcurrency || 1;
+    this.elements.ocrWorkersHint.textContent =
+      `"OCR All Pages" recognizes this many pages at once, but never more than this computer's ${cores} CPU cores. ` +
+      'Each worker needs its own copy of the language data, so lower this on machines with little memory.';
+  }
+
+  fillCacheLimitSelect() {
+    for (const limit of OCR_CACHE_LIMITS_MB) {
+      const option = document.createElement('option');
+      option.value = String(limit);
+      option.textContent = `${limit} MB`;
+      this.elements.ocrCacheLimit.appendChild(option);
+    }
+  }
+
+  // ==================== Site Rules ====================
+
+  renderSiteRules() {
+    const tbody = this.elements.siteRules;
+    tbody.innerHTML = '';
+
+    for (const rule of this.settings.siteRules) {
+      const row = document.createElement('tr');
+
+      const originCell = document.createElement('td');
+      originCell.textContent = rule.origin;
+
+      const actionCell = document.createElement('td');
+      const select = document.createElement('select');
+      this.fillActionSelect(select);
+      select.value = rule.action;
+      select.addEventListener('change', () => this.updateSiteRule(rule.origin, select.value));
+      actionCell.appendChild(select);
+
+      const removeCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => this.removeSiteRule(rule.origin));
+      removeCell.appendChild(removeButton);
+
+      row.append(originCell, actionCell, removeCell);
+      tbody.appendChild(row);
+    }
+  }
+
+  /**
+   * Turn user input into an origin - accepts "host", "host:port" or a full URL
+   */
+  normalizeOrigin(input) {
+    const text = input.trim();
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text);
+    const url = new URL(hasScheme ? text : 'https://' + text);
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Only http and https sites can have rules');
+    }
+    return url.origin;
+  }
+
+  async addSiteRule() {
+    let origin;
+    try {
+      origin = this.normalizeOrigin(this.elements.siteRuleOrigin.value);
+    } catch (err) {
+      this.showStatus(err instanceof TypeError ? 'Enter a site like https://gis.example.com' : err.message);
+      return;
+    }
+
+    await this.updateSiteRule(origin, this.elements.siteRuleAction.value);
+    this.elements.siteRuleOrigin.value = '';
+  }
+
+  async updateSiteRule(origin, action) {
+    try {
+      await setSiteRule(origin, action);
+      this.showStatus('Saved');
+    } catch (err) {
+      logError('[Options] Failed to save rule:', err);
+      this.showStatus('Failed to save: ' + (err.message || String(err)));
+    }
+  }
+
+  removeSiteRule(origin) {
+    this.save({ siteRules: this.settings.siteRules.filter(r => r.origin !== origin) });
+  }
+
+  // ==================== OCR Languages ====================
+
+  async renderOcrLanguages() {
+    let imported = [];
+    try {
+      imported = await listImportedLanguages();
+    } catch (err) {
+      logError('[Options] Failed to list OCR languages:', err);
+    }
+
+    const tbody = this.elements.ocrLanguages;
+    tbody.innerHTML = '';
+
+    const rows = [
+      ...PACKAGED_OCR_LANGUAGES
+        .filter(code => !imported.some(l => l.code === code))
+        .map(code => ({ code, source: 'Built in' })),
+      ...imported.map(l => ({ code: l.code, source: `Imported (${this.formatSize(l.size)})`, removable: true }))
+    ].sort((a, b) => a.code.localeCompare(b.code));
+
+    for (const { code, source, removable } of rows) {
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = getOcrLanguageName(code);
+
+      const sourceCell = document.createElement('td');
+      sourceCell.textContent = source;
+
+      const removeCell = document.createElement('td');
+      if (removable) {
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => this.removeOcrLanguage(code));
+        removeCell.appendChild(removeButton);
+      }
+
+      row.append(nameCell, sourceCell, removeCell);
+      tbody.appendChild(row);
+    }
+  }
+
+  /**
+   * Import traineddata files - the language code comes from the file name
+   * (spa.traineddata or spa.traineddata.gz)
+   */
+  async importOcrLanguages(files) {
+    for (const file of files) {
+      const code = file.name.replace(/\.gz$/i, '').replace(/\.traineddata$/i, '');
+      try {
+        await importLanguage(code, await file.arrayBuffer());
+        log('[Options] Imported OCR language:', code);
+        this.showStatus(`Imported ${getOcrLanguageName(code)}`);
+      } catch (err) {
+        logError('[Options] Failed to import OCR language:', err);
+        this.showStatus(`Failed to import ${file.name}: ` + (err.message || String(err)));
+        break;
+      }
+    }
+    this.renderOcrLanguages();
+  }
+
+  async removeOcrLanguage(code) {
+    try {
+      await removeImportedLanguage(code);
+      this.showStatus('Removed');
+    } catch (err) {
+      logError('[Options] Failed to remove OCR language:', err);
+      this.showStatus('Failed to remove: ' + (err.message || String(err)));
+    }
+    this.renderOcrLanguages();
+  }
+
+  // ==================== OCR Cache ====================
+
+  async renderOcrCacheUsage() {
+    try {
+      const { entries, bytes } = await getOcrCacheUsage();
+      this.elements.ocrCacheUsage.textContent =
+        `${entries} ${entries === 1 ? 'page' : 'pages'}, ${this.formatSize(bytes)} used`;
+    } catch (err) {
+      logError('[Options] Failed to read OCR cache usage:', err);
+      this.elements.ocrCacheUsage.textContent = '';
+    }
+  }
+
+  async clearOcrCache() {
+    try {
+      await clearOcrCache();
+      this.showStatus('Cached OCR cleared');
+    } catch (err) {
+      logError('[Options] Failed to clear OCR cache:', err);
+      this.showStatus('Failed to clear: ' + (err.message || String(err)));
+    }
+    this.renderOcrCacheUsage();
+  }
+
+  formatSize(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  // ==================== Saving ====================
+
+  /**
+   * Save settings and briefly confirm it to the user
+   */
+  async save(changes) {
+    try {
+      await saveSettings(changes);
+      log('[Options] Saved:', Object.keys(changes));
+      this.showStatus('Saved');
+    } catch (err) {
+      logError('[Options] Failed to save:', err);
+      this.showStatus('Failed to save: ' + (err.message || String(err)));
+    }
+  }
+
+  showStatus(message) {
+    this.elements.status.textContent = message;
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      this.elements.status.textContent = '';
+    }, 2000);
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.optionsPage = new OptionsPage();
+});
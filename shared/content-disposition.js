@@ -0,0 +1,32 @@
+/**
+ * TIFF Viewer - Content-Disposition
+ *
+ * Servers often deliver TIFFs from URLs without a file name (e.g.
+ * /api/documents/8812/content) and name the file in Content-Disposition.
+ * The background service worker reads it to recognize TIFF responses, the
+ * viewer to show the name. This file is loaded by both (importScripts and
+ * a <script> tag).
+ */
+
+/**
+ * Extract the filename from a Content-Disposition header value
+ * Handles both filename="..." and the RFC 5987 filename*=UTF-8''... form
+ * (RFC 6266), preferring the latter
+ * @param {string|null} disposition - Header value, if any
+ * @returns {string} The filename, or '' if there is none
+ */
+function getDispositionFilename(disposition) {
+  if (!disposition) return '';
+
+  const extended = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(disposition);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim().replace(/^"|"$/g, ''));
+    } catch {
+      // Fall through to the plain filename parameter
+    }
+  }
+
+  const plain = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(disposition);
+  return plain ? (plain[1] ?? plain[2]).trim() : '';
+}
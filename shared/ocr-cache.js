@@ -0,0 +1,205 @@
+/**
+ * TIFF Viewer - OCR Result Cache
+ *
+ * Keeps OCR output in IndexedDB so reopening a document does not rerun
+ * OCR. Results are keyed by a SHA-256 hash of the file contents, the page
+ * index and the OCR language. Least recently used entries are evicted
+ * when the cache grows past the limit from the ocrCacheLimitMB setting.
+ *
+ * Two stores keep eviction cheap:
+ * - results: { key, data } - the OCR output itself
+ * - entries: { key, hash, size, lastUsed } - bookkeeping only
+ *
+ * Loaded by the viewer and the options page.
+ */
+
+/** IndexedDB database and stores */
+const OCR_CACHE_DB = 'ocr-cache';
+const OCR_CACHE_RESULTS = 'results';
+const OCR_CACHE_ENTRIES = 'entries';
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOcrCacheDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OCR_CACHE_DB, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(OCR_CACHE_RESULTS, { keyPath: 'key' });
+      const entries = db.createObjectStore(OCR_CACHE_ENTRIES, { keyPath: 'key' });
+      entries.createIndex('lastUsed', 'lastUsed');
+      entries.createIndex('hash', 'hash');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a transaction over both stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (results, entries) => value; may issue requests
+ * @returns {Promise<*>} Value returned by work, once the transaction completes
+ */
+async function ocrCacheTransaction(mode, work) {
+  const db = await openOcrCacheDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction([OCR_CACHE_RESULTS, OCR_CACHE_ENTRIES], mode);
+      const value = work(tx.objectStore(OCR_CACHE_RESULTS), tx.objectStore(OCR_CACHE_ENTRIES));
+      tx.oncomplete = () => resolve(typeof value === 'function' ? value() : value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Hash file contents for use as a cache key
+ * @param {Uint8Array} buffer - Raw TIFF data
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+async function hashDocument(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function ocrCacheKey(hash, pageIndex, language) {
+  return `${hash}:${pageIndex}:${language}`;
+}
+
+/**
+ * Look up cached OCR output for a page (and mark it recently used)
+ * @param {string} hash - From hashDocument()
+ * @param {number} pageIndex - Page (IFD) index in the file
+ * @param {string} language - OCR language, e.g. 'eng+spa'
+ * @returns {Promise<Object|null>} { text, confidence, words } or null
+ */
+async function getCachedOcr(hash, pageIndex, language) {
+  const key = ocrCacheKey(hash, pageIndex, language);
+  return ocrCacheTransaction('readwrite', (results, entries) => {
+    const resultRequest = results.get(key);
+    const entryRequest = entries.get(key);
+    entryRequest.onsuccess = () => {
+      const entry = entryRequest.result;
+      if (entry) entries.put({ ...entry, lastUsed: Date.now() });
+    };
+    return () => resultRequest.result ? resultRequest.result.data : null;
+  });
+}
+
+/**
+ * Look up cached OCR output for many pages of one document at once
+ *
+ * One transaction, using the hash index, instead of one per page.
+ *
+ * @param {string} hash - From hashDocument()
+ * @param {number[]} pageIndices - Page (IFD) indices in the file
+ * @param {string} language - OCR language
+ * @returns {Promise<Map<number, Object>>} Page index -> { text, confidence, words }
+ *   for the pages that are cached
+ */
+async function getCachedOcrPages(hash, pageIndices, language) {
+  const wanted = new Map(pageIndices.map(i => [ocrCacheKey(hash, i, language), i]));
+  return ocrCacheTransaction('readwrite', (results, entries) => {
+    const found = new Map();
+    const cached = entries.index('hash').getAll(hash);
+    cached.onsuccess = () => {
+      const now = Date.now();
+      for (const entry of cached.result) {
+        const pageIndex = wanted.get(entry.key);
+        if (pageIndex === undefined) continue;
+
+        entries.put({ ...entry, lastUsed: now });
+        const resultRequest = results.get(entry.key);
+        resultRequest.onsuccess = () => {
+          if (resultRequest.result) found.set(pageIndex, resultRequest.result.data);
+        };
+      }
+    };
+    return () => found;
+  });
+}
+
+/**
+ * Store OCR output for a page, then evict old entries over the limit
+ * @param {string} hash - From hashDocument()
+ * @param {number} pageIndex - Page (IFD) index in the file
+ * @param {string} language - OCR language
+ * @param {Object} data - { text, confidence, words }
+ * @param {number} limitBytes - Maximum total cache size
+ */
+async function putCachedOcr(hash, pageIndex, language, data, limitBytes) {
+  const key = ocrCacheKey(hash, pageIndex, language);
+  // Rough size: JSON text is close to what IndexedDB stores
+  const size = JSON.stringify(data).length;
+
+  await ocrCacheTransaction('readwrite', (results, entries) => {
+    results.put({ key, data });
+    entries.put({ key, hash, size, lastUsed: Date.now() });
+  });
+  await evictOcrCache(limitBytes);
+}
+
+/**
+ * Delete least recently used entries until the cache fits in limitBytes
+ */
+async function evictOcrCache(limitBytes) {
+  await ocrCacheTransaction('readwrite', (results, entries) => {
+    const all = entries.index('lastUsed').getAll();
+    all.onsuccess = () => {
+      let total = all.result.reduce((sum, entry) => sum + entry.size, 0);
+      // Oldest first
+      for (const entry of all.result) {
+        if (total <= limitBytes) break;
+        results.delete(entry.key);
+        entries.delete(entry.key);
+        total -= entry.size;
+      }
+    };
+  });
+}
+
+/**
+ * Delete every cached page of one document
+ * @param {string} hash - From hashDocument()
+ */
+async function deleteCachedOcr(hash) {
+  await ocrCacheTransaction('readwrite', (results, entries) => {
+    const keys = entries.index('hash').getAllKeys(hash);
+    keys.onsuccess = () => {
+      for (const key of keys.result) {
+        results.delete(key);
+        entries.delete(key);
+      }
+    };
+  });
+}
+
+/**
+ * Delete all cached OCR output
+ */
+async function clearOcrCache() {
+  await ocrCacheTransaction('readwrite', (results, entries) => {
+    results.clear();
+    entries.clear();
+  });
+}
+
+/**
+ * Get cache usage
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+async function getOcrCacheUsage() {
+  return ocrCacheTransaction('readonly', (results, entries) => {
+    const all = entries.getAll();
+    return () => ({
+      entries: all.result.length,
+      bytes: all.result.reduce((sum, entry) => sum + entry.size, 0)
+    });
+  });
+}
@@ -0,0 +1,168 @@
+/**
+ * TIFF Viewer - OCR Languages
+ *
+ * Tesseract needs one traineddata file per language. Packaged languages
+ * ship in lib/ as <code>.traineddata.gz; more can be imported on the
+ * options page and are kept in IndexedDB so OCR never needs the network.
+ *
+ * This file is loaded by the viewer and the options page, and inlined into
+ * the Tesseract blob worker (see offscreen.js) - it must only use APIs that
+ * exist in workers (no chrome.*).
+ */
+
+/** Languages shipped in lib/ */
+const PACKAGED_OCR_LANGUAGES = ['eng'];
+
+/** Display names for common Tesseract language codes */
+const OCR_LANGUAGE_NAMES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fra: 'French',
+  deu: 'German',
+  ita: 'Italian',
+  por: 'Portuguese',
+  nld: 'Dutch',
+  pol: 'Polish',
+  swe: 'Swedish',
+  dan: 'Danish',
+  nor: 'Norwegian',
+  fin: 'Finnish',
+  ces: 'Czech',
+  rus: 'Russian',
+  ukr: 'Ukrainian',
+  tur: 'Turkish',
+  ell: 'Greek',
+  ara: 'Arabic',
+  heb: 'Hebrew',
+  hin: 'Hindi',
+  jpn: 'Japanese',
+  kor: 'Korean',
+  chi_sim: 'Chinese (Simplified)',
+  chi_tra: 'Chinese (Traditional)',
+  vie: 'Vietnamese'
+};
+
+/** IndexedDB database and store for imported traineddata */
+const OCR_LANGUAGE_DB = 'ocr-languages';
+const OCR_LANGUAGE_STORE = 'languages';
+
+/** Valid Tesseract language code, e.g. 'eng' or 'chi_sim' */
+const OCR_LANGUAGE_CODE_PATTERN = /^[a-z]+(_[a-z]+)*$/i;
+
+/**
+ * Get a display name for a language code
+ * @param {string} code - Tesseract language code
+ * @returns {string} e.g. 'Spanish (spa)'
+ */
+function getOcrLanguageName(code) {
+  const name = OCR_LANGUAGE_NAMES[code];
+  return name ? `${name} (${code})` : code;
+}
+
+/**
+ * Check an OCR language setting like 'eng+spa'
+ * @param {string} language - Language codes joined with '+'
+ * @returns {boolean} True if every code is well-formed
+ */
+function isValidOcrLanguage(language) {
+  return typeof language === 'string' &&
+    language.split('+').every(code => OCR_LANGUAGE_CODE_PATTERN.test(code));
+}
+
+/**
+ * Open (and create on first use) the imported-language database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLanguageDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OCR_LANGUAGE_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OCR_LANGUAGE_STORE, { keyPath: 'code' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the language store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function languageStoreRequest(mode, makeRequest) {
+  const db = await openLanguageDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(OCR_LANGUAGE_STORE, mode);
+      const request = makeRequest(tx.objectStore(OCR_LANGUAGE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List imported languages (without their data)
+ * @returns {Promise<Array<{code: string, size: number, importedAt: number}>>}
+ */
+async function listImportedLanguages() {
+  const records = await languageStoreRequest('readonly', store => store.getAll());
+  return records.map(({ code, size, importedAt }) => ({ code, size, importedAt }));
+}
+
+/**
+ * Get the codes of imported languages without reading their data
+ * @returns {Promise<string[]>}
+ */
+async function getImportedLanguageCodes() {
+  return languageStoreRequest('readonly', store => store.getAllKeys());
+}
+
+/**
+ * Get the traineddata of an imported language
+ * @param {string} code - Tesseract language code
+ * @returns {Promise<Uint8Array|null>} Raw or gzipped traineddata, null if not imported
+ */
+async function getImportedLanguage(code) {
+  const record = await languageStoreRequest('readonly', store => store.get(code));
+  return record ? new Uint8Array(record.data) : null;
+}
+
+/**
+ * Store traineddata for a language, replacing any earlier import
+ * @param {string} code - Tesseract language code
+ * @param {ArrayBuffer} data - .traineddata or .traineddata.gz contents
+ */
+async function importLanguage(code, data) {
+  if (!OCR_LANGUAGE_CODE_PATTERN.test(code)) {
+    throw new Error(`"${code}" is not a valid language code`);
+  }
+  await languageStoreRequest('readwrite', store => store.put({
+    code,
+    data,
+    size: data.byteLength,
+    importedAt: Date.now()
+  }));
+}
+
+/**
+ * Delete an imported language
+ * @param {string} code - Tesseract language code
+ */
+async function removeImportedLanguage(code) {
+  await languageStoreRequest('readwrite', store => store.delete(code));
+}
+
+/**
+ * Get every language OCR can use: packaged plus imported
+ * @returns {Promise<string[]>} Sorted language codes
+ */
+async function getAvailableOcrLanguages() {
+  const imported = await getImportedLanguageCodes();
+  const codes = new Set([...PACKAGED_OCR_LANGUAGES, ...imported]);
+  return [...codes].sort();
+}
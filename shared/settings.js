@@ -0,0 +1,104 @@
+/**
+ * TIFF Viewer - Shared Settings
+ *
+ * User preferences live in chrome.storage.sync so they follow the user
+ * across devices. This file is loaded by the background service worker
+ * (importScripts), the viewer and the options page, so every context
+ * agrees on the defaults.
+ */
+
+/**
+ * Interception actions for a site:
+ * - view: Open TIFFs in the viewer (default)
+ * - download: Leave TIFFs to Chrome so they are saved to disk
+ * - ask: Show a "view or download" prompt in the viewer first
+ */
+const SITE_ACTIONS = ['view', 'download', 'ask'];
+
+/** Upper bound for the OCR worker cap - each worker holds its own language data */
+const OCR_MAX_WORKERS_LIMIT = 8;
+
+/** Choices for the OCR cache size limit, in MB */
+const OCR_CACHE_LIMITS_MB = [10, 50, 100, 250];
+
+/** Default value for every setting */
+const DEFAULT_SETTINGS = {
+  /** Render <img src="*.tif"> elements on ordinary web pages (opt-in) */
+  inlineImages: false,
+
+  /** Action for sites without a rule (one of SITE_ACTIONS) */
+  defaultAction: 'view',
+
+  /** Per-origin rules: [{ origin: 'https://gis.example.com', action: 'download' }] */
+  siteRules: [],
+
+  /** Cap on parallel Tesseract workers (1..OCR_MAX_WORKERS_LIMIT) */
+  ocrMaxWorkers: 4,
+
+  /** OCR languages joined with '+', e.g. 'eng+spa' (see shared/ocr-languages.js) */
+  ocrLanguage: 'eng',
+
+  /** Keep OCR results in IndexedDB so reopened documents skip OCR (see shared/ocr-cache.js) */
+  ocrCache: true,
+
+  /** Size limit for the OCR cache in MB (one of OCR_CACHE_LIMITS_MB) */
+  ocrCacheLimitMB: 50
+};
+
+/**
+ * Load all settings, filling in defaults for anything not stored yet
+ * @returns {Promise<Object>} Settings object with every DEFAULT_SETTINGS key
+ */
+async function loadSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Save one or more settings
+ * @param {Object} changes - Subset of DEFAULT_SETTINGS keys to update
+ */
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+/**
+ * Get the interception action for a URL from its origin's rule
+ * @param {Object} settings - Settings from loadSettings()
+ * @param {string} url - TIFF URL
+ * @returns {string} One of SITE_ACTIONS
+ */
+function getSiteAction(settings, url) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch {
+    return settings.defaultAction;
+  }
+
+  const rule = settings.siteRules.find(r => r.origin === origin);
+  return rule ? rule.action : settings.defaultAction;
+}
+
+/**
+ * Number of OCR workers to run in parallel: one per CPU core, up to the
+ * user's cap
+ * @param {Object} settings - Settings from loadSettings()
+ * @returns {number} Pool size (at least 1)
+ */
+function getOcrPoolSize(settings) {
+  const cores = navigator.hardwareConcurrency || 1;
+  const cap = Math.min(Math.max(1, settings.ocrMaxWorkers | 0), OCR_MAX_WORKERS_LIMIT);
+  return Math.min(cores, cap);
+}
+
+/**
+ * Add or replace the rule for an origin
+ * @param {string} origin - e.g. 'https://gis.example.com'
+ * @param {string} action - One of SITE_ACTIONS
+ */
+async function setSiteRule(origin, action) {
+  const { siteRules } = await loadSettings();
+  const rules = siteRules.filter(r => r.origin !== origin);
+  rules.push({ origin, action });
+  await saveSettings({ siteRules: rules });
+}
@@ -0,0 +1,279 @@
+/**
+ * TIFF Viewer - Decode Worker
+ *
+ * Decodes TIFF pages off the main thread, so the viewer stays responsive
+ * while large files load and scroll. Each open file gets its own worker,
+ * which keeps the file and its IFDs and decodes single pages on request;
+ * the viewer terminates it when the file is closed or its load cancelled.
+ *
+ * Very large pages are never decoded whole: when their strips or tiles are
+ * small enough, 'region' renders part of a page, at a reduced size, from
+ * just the blocks (strips or tiles) it covers. A page's resolution levels
+ * are the page itself and its reduced-resolution versions, from SubIFDs
+ * or from the IFDs that follow it (NewSubfileType bit 0).
+ *
+ * Requests carry an id that is echoed in the reply, and are handled one at
+ * a time, in order.
+ *
+ * Messages in:
+ * - { id, type: 'open', buffer: Uint8Array } - The whole TIFF file
+ * - { id, type: 'decode', index } - Decode the page at IFD index
+ * - { id, type: 'region', index, level, x, y, width, height, outWidth,
+ *   outHeight } - Render a rectangle of a resolution level of a page,
+ *   in that level's pixels, scaled to outWidth x outHeight
+ *
+ * Messages out:
+ * - { id, pages } - Reply to 'open': [{ index, ifd, levels }] for every
+ *   page; ifd has no pixel data and has width and height from its tags;
+ *   levels is [{ width, height }], largest first, or empty if the page
+ *   can't be rendered by region
+ * - { id, bitmap } - Reply to 'decode' and 'region': an ImageBitmap
+ *   (transferred)
+ * - { id, error } - The request failed
+ */
+
+importScripts('../lib/inflate.js', '../lib/UTIF.js');
+
+// Production mode - set to false to enable debug logging
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+const logError = DEBUG ? console.error.bind(console) : () => {};
+
+/** Largest strip or tile 'region' decodes, in pixels */
+const MAX_BLOCK_PIXELS = 4 * 1024 * 1024;
+
+/** Pixels of decoded blocks kept for neighbouring regions */
+const BLOCK_CACHE_PIXELS = 16 * 1024 * 1024;
+
+/** The open file, as an ArrayBuffer (UTIF copies typed arrays it is given) */
+let file = null;
+
+/** IFDs of the open file, from UTIF.decode() */
+let ifds = null;
+
+/** Resolution levels of each page (IFDs, largest first) by IFD index */
+let pageLevels = new Map();
+
+/** Decoded blocks as ImageBitmaps by 'index/level/block', least recently used first */
+const blockCache = new Map();
+let blockCachePixels = 0;
+
+/** Requests run one at a time, so blocks are never evicted while in use */
+let queue = Promise.resolve();
+
+/**
+ * Copy an IFD for postMessage
+ *
+ * UTIF reads byte-valued tags as views into the file, and cloning a view
+ * clones its whole buffer, so those are sliced. Pixel data is left out.
+ */
+function cloneIfd(ifd) {
+  const copy = {};
+  for (const key of Object.keys(ifd)) {
+    const value = ifd[key];
+    if (key === 'data') continue;
+    if (ArrayBuffer.isView(value)) copy[key] = value.slice();
+    else if (key === 'subIFD') copy[key] = value.map(cloneIfd);
+    else if (key === 'exifIFD' || key === 'makerNote' || key === 'dngPrvt') copy[key] = cloneIfd(value);
+    else copy[key] = value;
+  }
+  return copy;
+}
+
+/**
+ * Size of the blocks (tiles, or strips of full width) an IFD is stored in
+ */
+function getBlockSize(ifd) {
+  if (ifd.t322) return { width: ifd.t322[0], height: ifd.t323[0] };
+  const rowsPerStrip = ifd.t278 ? ifd.t278[0] : ifd.t257[0];
+  return { width: ifd.t256[0], height: Math.min(rowsPerStrip, ifd.t257[0]) };
+}
+
+/**
+ * Check that an image can be decoded block by block
+ */
+function canDecodeRegions(ifd) {
+  if (!ifd.t256 || !ifd.t257) return false;
+  if ((ifd.t259 && ifd.t259[0] === 6) || (ifd.t284 && ifd.t284[0] === 2)) return false;
+
+  const offsets = ifd.t322 ? ifd.t324 : ifd.t273;
+  const counts = ifd.t322 ? ifd.t325 : ifd.t279;
+  const size = getBlockSize(ifd);
+  const blocks = Math.ceil(ifd.t256[0] / size.width) * Math.ceil(ifd.t257[0] / size.height);
+
+  return offsets != null && counts != null && offsets.length === blocks && counts.length === blocks &&
+    size.width * size.height <= MAX_BLOCK_PIXELS;
+}
+
+/**
+ * Convert a decoded IFD to an ImageBitmap
+ * @returns {Promise<ImageBitmap>}
+ */
+function toBitmap(ifd) {
+  const rgba = UTIF.toRGBA8(ifd);
+  const pixels = new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, ifd.width * ifd.height * 4);
+  return createImageBitmap(new ImageData(pixels, ifd.width, ifd.height));
+}
+
+/**
+ * Read the IFDs of a file and group them into pages
+ * @param {Uint8Array} view - The whole TIFF file
+ * @returns {Array} [{ index, ifd, levels }], see 'open' above
+ */
+function openFile(view) {
+  file = view.byteOffset === 0 && view.byteLength === view.buffer.byteLength
+    ? view.buffer
+    : view.slice().buffer;
+
+  ifds = UTIF.decode(file);
+  if (!ifds || ifds.length === 0) {
+    throw new Error('No pages found in TIFF file');
+  }
+
+  const pages = [];
+  const levels = new Map();
+  ifds.forEach((ifd, i) => {
+    // Reduced-resolution images belong to the page before them
+    if (ifd.t254 && (ifd.t254[0] & 1) && pages.length > 0) {
+      levels.get(pages[pages.length - 1].index).push(ifd);
+      return;
+    }
+    if (!ifd.t256 || !ifd.t257) {
+      throw new Error(`Page ${pages.length + 1} has no image size`);
+    }
+
+    // The viewer lays out pages before decoding them, so sizes come from tags
+    pages.push({ index: i, ifd: { ...cloneIfd(ifd), width: ifd.t256[0], height: ifd.t257[0] } });
+    levels.set(i, (ifd.subIFD || []).filter(sub => sub.t254 && (sub.t254[0] & 1)));
+  });
+
+  for (const bitmap of blockCache.values()) bitmap.close();
+  blockCache.clear();
+  blockCachePixels = 0;
+
+  pageLevels = new Map();
+  for (const page of pages) {
+    const full = ifds[page.index];
+    const reduced = levels.get(page.index)
+      .filter(ifd => canDecodeRegions(ifd) && ifd.t256[0] < full.t256[0])
+      .sort((a, b) => b.t256[0] - a.t256[0]);
+    const usable = canDecodeRegions(full) ? [full, ...reduced] : [];
+
+    pageLevels.set(page.index, usable);
+    page.levels = usable.map(ifd => ({ width: ifd.t256[0], height: ifd.t257[0] }));
+  }
+  return pages;
+}
+
+/**
+ * Decode one page of the open file
+ * @returns {Promise<ImageBitmap>}
+ */
+async function decodePage(index) {
+  const ifd = ifds[index];
+  UTIF.decodeImage(file, ifd);
+
+  try {
+    log(`[Decode] IFD ${index + 1} of ${ifds.length}: ${ifd.width}x${ifd.height}`);
+    return await toBitmap(ifd);
+  } finally {
+    // The pixels live in the bitmap now
+    ifd.data = null;
+  }
+}
+
+/**
+ * Decode one block of a resolution level, through the block cache
+ * @returns {Promise<ImageBitmap>}
+ */
+async function getBlock(index, level, n) {
+  const key = `${index}/${level}/${n}`;
+  let bitmap = blockCache.get(key);
+  if (bitmap) {
+    // Most recently used last
+    blockCache.delete(key);
+    blockCache.set(key, bitmap);
+    return bitmap;
+  }
+
+  const ifd = pageLevels.get(index)[level];
+  const tiled = ifd.t322 != null;
+  const size = getBlockSize(ifd);
+  const rows = tiled ? size.height : Math.min(size.height, ifd.t257[0] - n * size.height);
+
+  // The block as an image of one strip, which UTIF decodes like any other
+  const block = {
+    ...ifd,
+    t256: [size.width],
+    t257: [rows],
+    t278: [rows],
+    t273: [(tiled ? ifd.t324 : ifd.t273)[n]],
+    t279: [(tiled ? ifd.t325 : ifd.t279)[n]]
+  };
+  delete block.t322;
+  delete block.t323;
+  delete block.t324;
+  delete block.t325;
+  UTIF.decodeImage(file, block);
+  bitmap = await toBitmap(block);
+
+  blockCache.set(key, bitmap);
+  blockCachePixels += bitmap.width * bitmap.height;
+  for (const [oldKey, old] of blockCache) {
+    if (blockCachePixels <= BLOCK_CACHE_PIXELS || old === bitmap) break;
+    blockCache.delete(oldKey);
+    blockCachePixels -= old.width * old.height;
+    old.close();
+  }
+  return bitmap;
+}
+
+/**
+ * Render a rectangle of a resolution level from the blocks it covers
+ * @returns {ImageBitmap}
+ */
+async function renderRegion({ index, level, x, y, width, height, outWidth, outHeight }) {
+  const ifd = pageLevels.get(index)[level];
+  const size = getBlockSize(ifd);
+  const across = Math.ceil(ifd.t256[0] / size.width);
+  const down = Math.ceil(ifd.t257[0] / size.height);
+
+  const canvas = new OffscreenCanvas(outWidth, outHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  const scaleX = outWidth / width;
+  const scaleY = outHeight / height;
+
+  const lastColumn = Math.min(across, Math.ceil((x + width) / size.width)) - 1;
+  const lastRow = Math.min(down, Math.ceil((y + height) / size.height)) - 1;
+  for (let row = Math.floor(y / size.height); row <= lastRow; row++) {
+    for (let column = Math.floor(x / size.width); column <= lastColumn; column++) {
+      const bitmap = await getBlock(index, level, row * across + column);
+      ctx.drawImage(bitmap,
+        (column * size.width - x) * scaleX, (row * size.height - y) * scaleY,
+        bitmap.width * scaleX, bitmap.height * scaleY);
+    }
+  }
+
+  return canvas.transferToImageBitmap();
+}
+
+async function handleMessage(message) {
+  const { id, type } = message;
+
+  try {
+    if (type === 'open') {
+      self.postMessage({ id, pages: openFile(message.buffer) });
+    } else if (type === 'decode' || type === 'region') {
+      const bitmap = type === 'decode' ? await decodePage(message.index) : await renderRegion(message);
+      self.postMessage({ id, bitmap }, [bitmap]);
+    }
+  } catch (err) {
+    logError(`[Decode] ${type} failed:`, err);
+    self.postMessage({ id, error: err.message });
+  }
+}
+
+self.onmessage = (e) => {
+  queue = queue.then(() => handleMessage(e.data));
+};
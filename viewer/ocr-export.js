@@ -0,0 +1,187 @@
+/**
+ * TIFF Viewer - OCR Export
+ *
+ * Turns the ocrData stored on each page into downloadable formats:
+ * - Plain text with a separator line before every page
+ * - hOCR (HTML with ocr_page / ocr_line / ocrx_word elements)
+ * - ALTO XML v4 (Page / TextBlock / TextLine / String elements)
+ *
+ * Coordinates are in pixels of the original (unrotated) page image, which
+ * is what Tesseract reports. Only words are kept from Tesseract's output,
+ * so lines are rebuilt with groupWordsIntoLines().
+ *
+ * Every function takes the same page list:
+ *   [{ width, height, ocrData: { text, confidence, words, language } | null }]
+ */
+
+/**
+ * Escape text for XML/HTML content and attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Group words into text lines
+ *
+ * Tesseract lists words in reading order, so a new line starts whenever a
+ * word jumps back to the left or no longer overlaps the line vertically.
+ *
+ * @param {Array} words - ocrData.words
+ * @returns {Array<{bbox: Object, words: Array}>} Lines with their bounding box
+ */
+function groupWordsIntoLines(words) {
+  const lines = [];
+  let line = null;
+
+  for (const word of words) {
+    const box = word.bbox;
+    if (!box || !word.text.trim()) continue;
+
+    const previous = line && line.words[line.words.length - 1].bbox;
+    const overlap = line ? Math.min(line.bbox.y1, box.y1) - Math.max(line.bbox.y0, box.y0) : 0;
+    const minHeight = line ? Math.min(line.bbox.y1 - line.bbox.y0, box.y1 - box.y0) : 0;
+
+    if (!line || box.x0 < previous.x0 || overlap < minHeight / 2) {
+      line = { bbox: { ...box }, words: [] };
+      lines.push(line);
+    }
+
+    line.words.push(word);
+    line.bbox.x0 = Math.min(line.bbox.x0, box.x0);
+    line.bbox.y0 = Math.min(line.bbox.y0, box.y0);
+    line.bbox.x1 = Math.max(line.bbox.x1, box.x1);
+    line.bbox.y1 = Math.max(line.bbox.y1, box.y1);
+  }
+
+  return lines;
+}
+
+/**
+ * Export plain text
+ * @param {Array} pages - See file header
+ * @returns {string}
+ */
+function exportOcrText(pages) {
+  return pages.map((page, i) => {
+    const text = page.ocrData ? page.ocrData.text.trim() : '';
+    return `===== Page ${i + 1} =====\n\n${text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Export hOCR
+ * @param {Array} pages - See file header
+ * @param {string} fileName - Source image name, recorded on every page
+ * @returns {string} XHTML document
+ */
+function exportOcrHocr(pages, fileName) {
+  const body = pages.map((page, pageIndex) => {
+    const pageNo = pageIndex + 1;
+    const lines = page.ocrData ? groupWordsIntoLines(page.ocrData.words) : [];
+    let wordNo = 0;
+
+    const lineHtml = lines.map((line, lineIndex) => {
+      const words = line.words.map((word) => {
+        const { x0, y0, x1, y1 } = word.bbox;
+        wordNo++;
+        return `     <span class="ocrx_word" id="word_${pageNo}_${wordNo}" ` +
+          `title="bbox ${x0} ${y0} ${x1} ${y1}; x_wconf ${Math.round(word.confidence)}">${escapeXml(word.text)}</span>`;
+      }).join('\n');
+
+      const { x0, y0, x1, y1 } = line.bbox;
+      return `    <span class="ocr_line" id="line_${pageNo}_${lineIndex + 1}" title="bbox ${x0} ${y0} ${x1} ${y1}">\n` +
+        `${words}\n    </span>`;
+    }).join('\n');
+
+    return `  <div class="ocr_page" id="page_${pageNo}" ` +
+      `title="image &quot;${escapeXml(fileName)}&quot;; bbox 0 0 ${page.width} ${page.height}; ppageno ${pageIndex}">\n` +
+      (lineHtml ? `${lineHtml}\n` : '') + '  </div>';
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+ <head>
+  <title>${escapeXml(fileName)}</title>
+  <meta http-equiv="Content-Type" content="text/html; charset=utf-8" />
+  <meta name="ocr-system" content="Tesseract.js" />
+  <meta name="ocr-capabilities" content="ocr_page ocr_line ocrx_word" />
+  <meta name="ocr-number-of-pages" content="${pages.length}" />
+ </head>
+ <body>
+${body}
+ </body>
+</html>
+`;
+}
+
+/**
+ * Export ALTO XML (v4)
+ *
+ * Each page gets a single TextBlock around all of its lines, since
+ * Tesseract's block structure is not kept. Word confidence (WC) is scaled
+ * to 0..1 as ALTO requires.
+ *
+ * @param {Array} pages - See file header
+ * @param {string} fileName - Source image name
+ * @returns {string} ALTO document
+ */
+function exportOcrAlto(pages, fileName) {
+  const boxAttrs = ({ x0, y0, x1, y1 }) =>
+    `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+
+  const pageXml = pages.map((page, pageIndex) => {
+    const pageNo = pageIndex + 1;
+    const lines = page.ocrData ? groupWordsIntoLines(page.ocrData.words) : [];
+    let wordNo = 0;
+
+    const lineXml = lines.map((line, lineIndex) => {
+      const strings = line.words.map((word) => {
+        wordNo++;
+        const wc = Math.max(0, Math.min(1, word.confidence / 100)).toFixed(2);
+        return `            <String ID="string_${pageNo}_${wordNo}" ${boxAttrs(word.bbox)} ` +
+          `WC="${wc}" CONTENT="${escapeXml(word.text)}"/>`;
+      }).join('\n');
+
+      return `          <TextLine ID="line_${pageNo}_${lineIndex + 1}" ${boxAttrs(line.bbox)}>\n` +
+        `${strings}\n          </TextLine>`;
+    }).join('\n');
+
+    const pageBox = { x0: 0, y0: 0, x1: page.width, y1: page.height };
+    let block = '';
+    if (lines.length > 0) {
+      const blockBox = {
+        x0: Math.min(...lines.map(l => l.bbox.x0)),
+        y0: Math.min(...lines.map(l => l.bbox.y0)),
+        x1: Math.max(...lines.map(l => l.bbox.x1)),
+        y1: Math.max(...lines.map(l => l.bbox.y1))
+      };
+      block = `        <TextBlock ID="block_${pageNo}" ${boxAttrs(blockBox)}>\n${lineXml}\n        </TextBlock>\n`;
+    }
+
+    return `    <Page ID="page_${pageNo}" PHYSICAL_IMG_NR="${pageNo}" WIDTH="${page.width}" HEIGHT="${page.height}">\n` +
+      `      <PrintSpace ${boxAttrs(pageBox)}>\n${block}      </PrintSpace>\n    </Page>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"
+      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+      xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">
+  <Description>
+    <MeasurementUnit>pixel</MeasurementUnit>
+    <sourceImageInformation>
+      <fileName>${escapeXml(fileName)}</fileName>
+    </sourceImageInformation>
+  </Description>
+  <Layout>
+${pageXml}
+  </Layout>
+</alto>
+`;
+}
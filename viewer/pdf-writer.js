@@ -0,0 +1,361 @@
+/**
+ * TIFF Viewer - PDF Writer
+ *
+ * Builds a multi-page PDF from the viewer's pages, entirely in the browser:
+ * - Each page image is embedded at native resolution. Single-strip CCITT G4
+ *   pages are copied as-is (CCITTFaxDecode); everything else is taken from
+ *   the page canvas and compressed with FlateDecode as 1-bit, gray or RGB.
+ * - Page size follows the TIFF resolution (72 dpi when missing), and the
+ *   viewer's page rotation becomes the page's /Rotate.
+ * - OCR words are drawn as invisible text (render mode 3) over the image so
+ *   the PDF can be searched and copied from.
+ *
+ * The text layer uses the standard Helvetica font with WinAnsiEncoding, so
+ * characters outside that character set are written as '?'.
+ */
+
+/** Helvetica advance widths for character codes 32-126 (1/1000 em) */
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/** Helvetica ascent and descent (1/1000 em), used to fit text to word boxes */
+const PDF_HELVETICA_ASCENT = 718;
+const PDF_HELVETICA_DESCENT = 207;
+
+/** WinAnsiEncoding codes for characters outside Latin-1 */
+const PDF_WINANSI_EXTRA = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85,
+  0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A,
+  0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92,
+  0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+  0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C,
+  0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// ==================== Encoding Helpers ====================
+
+/**
+ * Convert a string of 8-bit character codes to bytes
+ */
+function pdfLatin1Bytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Format a number for a PDF content stream (at most 2 decimals)
+ */
+function pdfNumber(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Map text to WinAnsiEncoding character codes
+ * @returns {number[]} Codes, with '?' for unsupported characters
+ */
+function pdfWinAnsiCodes(text) {
+  const codes = [];
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if ((cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF)) {
+      codes.push(cp);
+    } else {
+      codes.push(PDF_WINANSI_EXTRA[cp] || 0x3F);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Width of WinAnsi codes in Helvetica (1/1000 em)
+ */
+function pdfTextWidth(codes) {
+  return codes.reduce((sum, code) =>
+    sum + (code >= 32 && code <= 126 ? PDF_HELVETICA_WIDTHS[code - 32] : 556), 0);
+}
+
+/**
+ * Write WinAnsi codes as a PDF literal string
+ */
+function pdfLiteralString(codes) {
+  let str = '(';
+  for (const code of codes) {
+    if (code === 0x28 || code === 0x29 || code === 0x5C) str += '\\';
+    str += String.fromCharCode(code);
+  }
+  return str + ')';
+}
+
+/**
+ * Compress bytes with zlib deflate (what FlateDecode expects)
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function pdfDeflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reverse the bit order of every byte (TIFF FillOrder 2 to PDF's MSB-first)
+ */
+function pdfReverseBits(data) {
+  const out = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    let b = data[i];
+    b = ((b & 0xF0) >> 4) | ((b & 0x0F) << 4);
+    b = ((b & 0xCC) >> 2) | ((b & 0x33) << 2);
+    b = ((b & 0xAA) >> 1) | ((b & 0x55) << 1);
+    out[i] = b;
+  }
+  return out;
+}
+
+// ==================== Page Images ====================
+
+/**
+ * Get the page's G4 data for passthrough, if the page allows it
+ *
+ * Only single-strip, untiled, 1-bit pages qualify. CCITT runs are coded as
+ * white/black, so BlackIsZero pages get an inverted /Decode.
+ *
+ * @param {Uint8Array} buffer - TIFF file the page was read from
+ * @param {Object} ifd - Page IFD from UTIF.decode()
+ * @returns {Object|null} PDF image description, or null to re-encode
+ */
+function getCcittPassthroughImage(buffer, ifd) {
+  const compression = ifd.t259 ? ifd.t259[0] : 1;
+  const bitsPerSample = ifd.t258 ? ifd.t258[0] : 1;
+  const photometric = ifd.t262 ? ifd.t262[0] : 0;
+  const offsets = ifd.t273;
+  const counts = ifd.t279;
+
+  if (compression !== 4 || bitsPerSample !== 1 || photometric > 1) return null;
+  if (ifd.t322 || !offsets || !counts || offsets.length !== 1) return null;
+
+  const start = offsets[0];
+  const end = start + counts[0];
+  if (end > buffer.length) return null;
+
+  let data = buffer.subarray(start, end);
+  if (ifd.t266 && ifd.t266[0] === 2) data = pdfReverseBits(data);
+
+  return {
+    width: ifd.width,
+    height: ifd.height,
+    colorSpace: '/DeviceGray',
+    bitsPerComponent: 1,
+    filter: '/CCITTFaxDecode',
+    decodeParms: `<< /K -1 /Columns ${ifd.width} /Rows ${ifd.height} /BlackIs1 false >>`,
+    decode: photometric === 1 ? '[1 0]' : null,
+    data
+  };
+}
+
+/**
+ * Encode a page canvas with FlateDecode
+ *
+ * Uses the smallest of 1-bit, 8-bit gray and RGB that keeps every pixel.
+ *
+ * @param {HTMLCanvasElement} canvas - Page canvas at native resolution
+ * @returns {Promise<Object>} PDF image description
+ */
+async function encodeCanvasImage(canvas) {
+  const width = canvas.width;
+  const height = canvas.height;
+  const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const area = width * height;
+
+  let gray = true;
+  let bilevel = true;
+  for (let i = 0; i < rgba.length && gray; i += 4) {
+    const r = rgba[i];
+    if (r !== rgba[i + 1] || r !== rgba[i + 2]) gray = false;
+    else if (r !== 0 && r !== 255) bilevel = false;
+  }
+
+  let raw;
+  let colorSpace = '/DeviceGray';
+  let bitsPerComponent = 8;
+
+  if (gray && bilevel) {
+    // 1 = white in DeviceGray, rows padded to whole bytes
+    const rowBytes = Math.ceil(width / 8);
+    raw = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (rgba[(y * width + x) * 4]) raw[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+    bitsPerComponent = 1;
+  } else if (gray) {
+    raw = new Uint8Array(area);
+    for (let i = 0; i < area; i++) raw[i] = rgba[i * 4];
+  } else {
+    raw = new Uint8Array(area * 3);
+    for (let i = 0; i < area; i++) {
+      raw[i * 3] = rgba[i * 4];
+      raw[i * 3 + 1] = rgba[i * 4 + 1];
+      raw[i * 3 + 2] = rgba[i * 4 + 2];
+    }
+    colorSpace = '/DeviceRGB';
+  }
+
+  return {
+    width,
+    height,
+    colorSpace,
+    bitsPerComponent,
+    filter: '/FlateDecode',
+    decodeParms: null,
+    decode: null,
+    data: await pdfDeflate(raw)
+  };
+}
+
+// ==================== Text Layer ====================
+
+/**
+ * Build content stream operators for invisible OCR text
+ *
+ * Each word is sized and horizontally scaled so its Helvetica box matches
+ * the OCR bounding box; this is what text selection highlights.
+ *
+ * @param {Array} words - ocrData.words (image pixel coordinates)
+ * @param {number} scaleX - Points per pixel horizontally
+ * @param {number} scaleY - Points per pixel vertically
+ * @param {number} pageHeight - Page height in points
+ * @returns {string} Content stream fragment (empty if no words)
+ */
+function buildPdfTextLayer(words, scaleX, scaleY, pageHeight) {
+  const ops = [];
+  const emHeight = (PDF_HELVETICA_ASCENT + PDF_HELVETICA_DESCENT) / 1000;
+
+  for (const word of words) {
+    if (!word.bbox || !word.text.trim()) continue;
+    const { x0, y0, x1, y1 } = word.bbox;
+    const codes = pdfWinAnsiCodes(word.text.trim());
+    const textWidth = pdfTextWidth(codes);
+    if (x1 <= x0 || y1 <= y0 || textWidth === 0) continue;
+
+    const size = ((y1 - y0) * scaleY) / emHeight;
+    const x = x0 * scaleX;
+    const baseline = pageHeight - y1 * scaleY + size * PDF_HELVETICA_DESCENT / 1000;
+    const hScale = ((x1 - x0) * scaleX) / (textWidth * size / 1000) * 100;
+
+    ops.push(`/F1 ${pdfNumber(size)} Tf ${pdfNumber(hScale)} Tz ` +
+      `1 0 0 1 ${pdfNumber(x)} ${pdfNumber(baseline)} Tm ${pdfLiteralString(codes)} Tj`);
+  }
+
+  if (ops.length === 0) return '';
+  return `BT\n3 Tr\n${ops.join('\n')}\nET\n`;
+}
+
+// ==================== Document ====================
+
+/**
+ * Get a page's resolution in dots per inch
+ * @returns {{x: number, y: number}}
+ */
+function getPageDpi(ifd) {
+  const unit = ifd.t296 ? ifd.t296[0] : 2;
+  const toDpi = (value) => {
+    if (!value || !isFinite(value) || unit === 1) return 72;
+    return unit === 3 ? value * 2.54 : value;
+  };
+  const x = toDpi(ifd.t282 && ifd.t282[0]);
+  return { x, y: ifd.t283 ? toDpi(ifd.t283[0]) : x };
+}
+
+/**
+ * Build a searchable PDF
+ *
+ * @param {Array} pages - [{ ifd, source, canvas, width, height, rotation, ocrData }];
+ *   source.buffer is the file the page was read from (for G4 passthrough)
+ * @param {Function} [onProgress] - Called with (pagesDone, pageCount)
+ * @param {Function} [loadCanvas] - (page) => canvas or Promise of one with
+ *   the page's pixels, at most at native resolution; defaults to page.canvas
+ * @returns {Promise<Blob>} application/pdf
+ */
+async function createSearchablePdf(pages, onProgress, loadCanvas = page => page.canvas) {
+  const parts = [];
+  const offsets = [];
+  let position = 0;
+
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? pdfLatin1Bytes(chunk) : chunk;
+    parts.push(bytes);
+    position += bytes.length;
+  };
+  const writeObject = (num, dict, stream) => {
+    offsets[num] = position;
+    write(`${num} 0 obj\n${dict}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // Objects 1-3 are fixed; each page then takes three (page, content, image)
+  const pageObject = i => 4 + i * 3;
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((p, i) => `${pageObject(i)} 0 R`).join(' ')}] >>`);
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const num = pageObject(i);
+
+    const image = getCcittPassthroughImage(page.source.buffer, page.ifd) || await encodeCanvasImage(await loadCanvas(page));
+    const dpi = getPageDpi(page.ifd);
+    const scaleX = 72 / dpi.x;
+    const scaleY = 72 / dpi.y;
+    // The canvas of a very large page is smaller than the page
+    const pageWidth = page.width * scaleX;
+    const pageHeight = page.height * scaleY;
+    const rotation = ((page.rotation % 360) + 360) % 360;
+
+    let content = `q ${pdfNumber(pageWidth)} 0 0 ${pdfNumber(pageHeight)} 0 0 cm /Im0 Do Q\n`;
+    if (page.ocrData) {
+      content += buildPdfTextLayer(page.ocrData.words, scaleX, scaleY, pageHeight);
+    }
+    const contentData = await pdfDeflate(pdfLatin1Bytes(content));
+
+    writeObject(num,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(pageWidth)} ${pdfNumber(pageHeight)}] ` +
+      `/Rotate ${rotation} /Resources << /XObject << /Im0 ${num + 2} 0 R >> /Font << /F1 3 0 R >> >> ` +
+      `/Contents ${num + 1} 0 R >>`);
+    writeObject(num + 1, `<< /Length ${contentData.length} /Filter /FlateDecode >>`, contentData);
+    writeObject(num + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace ${image.colorSpace} /BitsPerComponent ${image.bitsPerComponent} /Filter ${image.filter}` +
+      (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : '') +
+      (image.decode ? ` /Decode ${image.decode}` : '') +
+      ` /Length ${image.data.length} >>`, image.data);
+
+    if (onProgress) onProgress(i + 1, pages.length);
+  }
+
+  // Cross-reference table: one 20-byte line per object
+  const xrefOffset = position;
+  const objectCount = pageObject(pages.length);
+  let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objectCount; n++) {
+    xref += `${String(offsets[n]).padStart(10, '0')} 00000 n \n`;
+  }
+  write(xref);
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
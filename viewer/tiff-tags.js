@@ -0,0 +1,387 @@
+/**
+ * TIFF Viewer - TIFF Tags
+ *
+ * Turns the IFDs from UTIF.decode() into readable document properties:
+ * - Names for baseline, extension, EXIF, GeoTIFF and common private tags
+ * - Formatted values (enumerations spelled out, long arrays shortened)
+ * - A per-page summary (dimensions, resolution, compression, ...)
+ * - Parsed XMP (tag 700) and IPTC (tag 33723, or inside the Photoshop
+ *   resources of tag 34377) packets
+ *
+ * Everything returned is plain strings and numbers, so the result can be
+ * shown as-is or copied as JSON.
+ */
+
+/** Tag names, as in the TIFF 6.0, TIFF/EP, EXIF 2.3 and GeoTIFF specs */
+const TIFF_TAG_NAMES = {
+  254: 'NewSubfileType', 255: 'SubfileType', 256: 'ImageWidth', 257: 'ImageLength',
+  258: 'BitsPerSample', 259: 'Compression', 262: 'PhotometricInterpretation',
+  263: 'Threshholding', 264: 'CellWidth', 265: 'CellLength', 266: 'FillOrder',
+  269: 'DocumentName', 270: 'ImageDescription', 271: 'Make', 272: 'Model',
+  273: 'StripOffsets', 274: 'Orientation', 277: 'SamplesPerPixel', 278: 'RowsPerStrip',
+  279: 'StripByteCounts', 280: 'MinSampleValue', 281: 'MaxSampleValue',
+  282: 'XResolution', 283: 'YResolution', 284: 'PlanarConfiguration', 285: 'PageName',
+  286: 'XPosition', 287: 'YPosition', 288: 'FreeOffsets', 289: 'FreeByteCounts',
+  290: 'GrayResponseUnit', 291: 'GrayResponseCurve', 292: 'T4Options', 293: 'T6Options',
+  296: 'ResolutionUnit', 297: 'PageNumber', 301: 'TransferFunction', 305: 'Software',
+  306: 'DateTime', 315: 'Artist', 316: 'HostComputer', 317: 'Predictor',
+  318: 'WhitePoint', 319: 'PrimaryChromaticities', 320: 'ColorMap',
+  321: 'HalftoneHints', 322: 'TileWidth', 323: 'TileLength', 324: 'TileOffsets',
+  325: 'TileByteCounts', 326: 'BadFaxLines', 327: 'CleanFaxData',
+  328: 'ConsecutiveBadFaxLines', 330: 'SubIFDs', 332: 'InkSet', 333: 'InkNames',
+  334: 'NumberOfInks', 336: 'DotRange', 337: 'TargetPrinter', 338: 'ExtraSamples',
+  339: 'SampleFormat', 340: 'SMinSampleValue', 341: 'SMaxSampleValue',
+  342: 'TransferRange', 347: 'JPEGTables', 512: 'JPEGProc',
+  513: 'JPEGInterchangeFormat', 514: 'JPEGInterchangeFormatLength',
+  529: 'YCbCrCoefficients', 530: 'YCbCrSubSampling', 531: 'YCbCrPositioning',
+  532: 'ReferenceBlackWhite', 700: 'XMP', 32781: 'ImageID', 32995: 'Matteing',
+  32996: 'DataType', 32997: 'ImageDepth', 32998: 'TileDepth',
+  33421: 'CFARepeatPatternDim', 33422: 'CFAPattern', 33432: 'Copyright',
+  33434: 'ExposureTime', 33437: 'FNumber', 33550: 'ModelPixelScale',
+  33723: 'IPTC-NAA', 33922: 'ModelTiepoint', 34264: 'ModelTransformation',
+  34377: 'Photoshop', 34665: 'ExifIFD', 34675: 'ICCProfile',
+  34735: 'GeoKeyDirectory', 34736: 'GeoDoubleParams', 34737: 'GeoAsciiParams',
+  34850: 'ExposureProgram', 34852: 'SpectralSensitivity', 34853: 'GPSInfo',
+  34855: 'ISOSpeedRatings', 34856: 'OECF', 34864: 'SensitivityType',
+  36864: 'ExifVersion', 36867: 'DateTimeOriginal', 36868: 'DateTimeDigitized',
+  36880: 'OffsetTime', 36881: 'OffsetTimeOriginal', 36882: 'OffsetTimeDigitized',
+  37121: 'ComponentsConfiguration', 37122: 'CompressedBitsPerPixel',
+  37377: 'ShutterSpeedValue', 37378: 'ApertureValue', 37379: 'BrightnessValue',
+  37380: 'ExposureBiasValue', 37381: 'MaxApertureValue', 37382: 'SubjectDistance',
+  37383: 'MeteringMode', 37384: 'LightSource', 37385: 'Flash', 37386: 'FocalLength',
+  37396: 'SubjectArea', 37500: 'MakerNote', 37510: 'UserComment',
+  37520: 'SubSecTime', 37521: 'SubSecTimeOriginal', 37522: 'SubSecTimeDigitized',
+  40960: 'FlashpixVersion', 40961: 'ColorSpace', 40962: 'PixelXDimension',
+  40963: 'PixelYDimension', 40964: 'RelatedSoundFile', 40965: 'InteroperabilityIFD',
+  41483: 'FlashEnergy', 41486: 'FocalPlaneXResolution', 41487: 'FocalPlaneYResolution',
+  41488: 'FocalPlaneResolutionUnit', 41492: 'SubjectLocation', 41493: 'ExposureIndex',
+  41495: 'SensingMethod', 41728: 'FileSource', 41729: 'SceneType',
+  41730: 'CFAPattern', 41985: 'CustomRendered', 41986: 'ExposureMode',
+  41987: 'WhiteBalance', 41988: 'DigitalZoomRatio', 41989: 'FocalLengthIn35mmFilm',
+  41990: 'SceneCaptureType', 41991: 'GainControl', 41992: 'Contrast',
+  41993: 'Saturation', 41994: 'Sharpness', 41996: 'SubjectDistanceRange',
+  42016: 'ImageUniqueID', 42032: 'CameraOwnerName', 42033: 'BodySerialNumber',
+  42034: 'LensSpecification', 42035: 'LensMake', 42036: 'LensModel',
+  42037: 'LensSerialNumber', 50706: 'DNGVersion', 50708: 'UniqueCameraModel',
+  50740: 'DNGPrivateData'
+};
+
+const TIFF_COMPRESSION_NAMES = {
+  1: 'None', 2: 'CCITT Modified Huffman (RLE)', 3: 'CCITT Group 3', 4: 'CCITT Group 4',
+  5: 'LZW', 6: 'JPEG (old-style)', 7: 'JPEG', 8: 'Deflate', 32773: 'PackBits',
+  32809: 'ThunderScan', 32946: 'Deflate (PKZIP)', 34676: 'SGILog', 34712: 'JPEG 2000',
+  34887: 'LERC', 34892: 'Lossy JPEG', 34925: 'LZMA', 50000: 'Zstandard', 65000: 'Kodak DCR'
+};
+
+const TIFF_PHOTOMETRIC_NAMES = {
+  0: 'WhiteIsZero', 1: 'BlackIsZero', 2: 'RGB', 3: 'Palette', 4: 'Transparency mask',
+  5: 'CMYK', 6: 'YCbCr', 8: 'CIELab', 9: 'ICCLab', 10: 'ITULab', 32803: 'CFA',
+  32844: 'LogL', 32845: 'LogLuv', 34892: 'Linear Raw'
+};
+
+/** Value names for enumerated tags */
+const TIFF_TAG_VALUES = {
+  259: TIFF_COMPRESSION_NAMES,
+  262: TIFF_PHOTOMETRIC_NAMES,
+  266: { 1: 'MSB first', 2: 'LSB first' },
+  274: {
+    1: 'Top-left', 2: 'Top-right', 3: 'Bottom-right', 4: 'Bottom-left',
+    5: 'Left-top', 6: 'Right-top', 7: 'Right-bottom', 8: 'Left-bottom'
+  },
+  284: { 1: 'Chunky', 2: 'Planar' },
+  296: { 1: 'None', 2: 'Inch', 3: 'Centimeter' },
+  317: { 1: 'None', 2: 'Horizontal differencing', 3: 'Floating point' },
+  339: { 1: 'Unsigned integer', 2: 'Signed integer', 3: 'Floating point', 4: 'Undefined' },
+  41488: { 1: 'None', 2: 'Inch', 3: 'Centimeter' }
+};
+
+/** Undefined-type tags that hold ASCII text, e.g. ExifVersion "0230" */
+const TIFF_ASCII_BYTE_TAGS = [36864, 40960, 41728, 41729];
+
+/** IPTC application record (2:xx) dataset names */
+const IPTC_DATASET_NAMES = {
+  3: 'ObjectTypeReference', 4: 'ObjectAttributeReference', 5: 'ObjectName',
+  7: 'EditStatus', 10: 'Urgency', 12: 'SubjectReference', 15: 'Category',
+  20: 'SupplementalCategories', 22: 'FixtureIdentifier', 25: 'Keywords',
+  26: 'ContentLocationCode', 27: 'ContentLocationName', 30: 'ReleaseDate',
+  35: 'ReleaseTime', 37: 'ExpirationDate', 38: 'ExpirationTime',
+  40: 'SpecialInstructions', 42: 'ActionAdvised', 45: 'ReferenceService',
+  47: 'ReferenceDate', 50: 'ReferenceNumber', 55: 'DateCreated', 60: 'TimeCreated',
+  62: 'DigitalCreationDate', 63: 'DigitalCreationTime', 65: 'OriginatingProgram',
+  70: 'ProgramVersion', 75: 'ObjectCycle', 80: 'By-line', 85: 'By-lineTitle',
+  90: 'City', 92: 'Sub-location', 95: 'Province-State', 100: 'Country-PrimaryLocationCode',
+  101: 'Country-PrimaryLocationName', 103: 'OriginalTransmissionReference',
+  105: 'Headline', 110: 'Credit', 115: 'Source', 116: 'CopyrightNotice',
+  118: 'Contact', 120: 'Caption-Abstract', 122: 'Writer-Editor', 135: 'LanguageIdentifier'
+};
+
+const XMP_RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// ==================== Tags ====================
+
+/**
+ * Get a tag's name
+ * @param {number} tag
+ * @returns {string} e.g. 'ImageWidth', or 'Tag 65000' for unknown tags
+ */
+function getTiffTagName(tag) {
+  return TIFF_TAG_NAMES[tag] || `Tag ${tag}`;
+}
+
+/**
+ * Format a tag value read by UTIF for display
+ * @param {number} tag
+ * @param {Array|Uint8Array} value - ifd['t' + tag]
+ * @returns {string}
+ */
+function formatTiffTagValue(tag, value) {
+  if (value instanceof Uint8Array) {
+    if (TIFF_ASCII_BYTE_TAGS.includes(tag) && value.length <= 8) {
+      return String.fromCharCode(...value).replace(/\0+$/, '');
+    }
+    return `${value.length} bytes`;
+  }
+  if (value.length === 0) return '';
+  if (typeof value[0] === 'string') return value[0].replace(/\0+$/, '').trim();
+
+  const names = TIFF_TAG_VALUES[tag];
+  if (names && value.length === 1 && names[value[0]]) return `${names[value[0]]} (${value[0]})`;
+
+  // Rationals arrive as floats; keep them short
+  const numbers = value.map(v => Number.isInteger(v) ? String(v) : String(Number(v.toFixed(4))));
+  if (numbers.length > 16) {
+    return `${numbers.slice(0, 8).join(', ')}, … (${numbers.length} values)`;
+  }
+  return numbers.join(', ');
+}
+
+/**
+ * List an IFD's tags in tag order
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @returns {Array<{tag: number, name: string, value: string}>}
+ */
+function listTiffTags(ifd) {
+  return Object.keys(ifd)
+    .filter(key => /^t\d+$/.test(key))
+    .map(key => Number(key.slice(1)))
+    .sort((a, b) => a - b)
+    .map(tag => ({ tag, name: getTiffTagName(tag), value: formatTiffTagValue(tag, ifd[`t${tag}`]) }));
+}
+
+/**
+ * Summarize a page: dimensions, resolution, compression, ...
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @returns {Object} Label -> value, only for values present in the IFD
+ */
+function summarizeTiffIfd(ifd) {
+  const first = (tag) => ifd[`t${tag}`] ? ifd[`t${tag}`][0] : undefined;
+  const summary = {};
+
+  if (ifd.t256 && ifd.t257) summary.Dimensions = `${first(256)} × ${first(257)} px`;
+
+  if (ifd.t282) {
+    const x = Number(first(282).toFixed(2));
+    const y = ifd.t283 ? Number(first(283).toFixed(2)) : x;
+    const unit = { 1: '(no unit)', 2: 'dpi', 3: 'dots/cm' }[first(296) || 2] || '';
+    summary.Resolution = x === y ? `${x} ${unit}` : `${x} × ${y} ${unit}`;
+  }
+
+  const compression = first(259) || 1;
+  summary.Compression = TIFF_COMPRESSION_NAMES[compression] || `Unknown (${compression})`;
+
+  if (ifd.t262) {
+    summary.Photometric = TIFF_PHOTOMETRIC_NAMES[first(262)] || `Unknown (${first(262)})`;
+  }
+
+  const bits = ifd.t258 || [1];
+  summary['Bits per sample'] = bits.every(b => b === bits[0]) && bits.length > 1
+    ? `${bits[0]} × ${bits.length}`
+    : bits.join(', ');
+
+  if (ifd.t305) summary.Software = formatTiffTagValue(305, ifd.t305);
+  if (ifd.t306) summary.Date = formatTiffTagValue(306, ifd.t306);
+
+  return summary;
+}
+
+// ==================== XMP ====================
+
+/**
+ * Parse an XMP packet into property/value pairs
+ *
+ * Arrays (rdf:Bag/Seq/Alt) are joined with '; ', structures are flattened
+ * to 'parent/child' names.
+ *
+ * @param {Uint8Array} bytes - Tag 700
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseXmp(bytes) {
+  const text = new TextDecoder().decode(bytes).replace(/\0+$/, '');
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    return [{ name: 'Error', value: 'XMP packet is not well-formed XML' }];
+  }
+
+  const properties = [];
+  for (const description of doc.getElementsByTagNameNS(XMP_RDF_NS, 'Description')) {
+    // Nested descriptions are structures, handled by their parent property
+    const parent = description.parentElement;
+    if (parent && parent.namespaceURI === XMP_RDF_NS && parent.localName === 'RDF') {
+      addXmpFields(properties, description, '');
+    }
+  }
+  return properties;
+}
+
+function addXmpFields(properties, element, prefix) {
+  for (const attr of element.attributes) {
+    if (attr.name.startsWith('xmlns') || attr.namespaceURI === XMP_RDF_NS) continue;
+    properties.push({ name: prefix + attr.name, value: attr.value });
+  }
+  for (const child of element.children) {
+    addXmpProperty(properties, prefix + child.nodeName, child);
+  }
+}
+
+function addXmpProperty(properties, name, element) {
+  const isRdf = (el, ...names) => el.namespaceURI === XMP_RDF_NS && names.includes(el.localName);
+  const children = [...element.children];
+
+  const array = children.find(child => isRdf(child, 'Bag', 'Seq', 'Alt'));
+  if (array) {
+    const items = [...array.children].map(li => li.textContent.trim()).filter(Boolean);
+    properties.push({ name, value: items.join('; ') });
+    return;
+  }
+
+  // Structure: a nested rdf:Description, or rdf:parseType="Resource" fields
+  const struct = children.find(child => isRdf(child, 'Description')) || (children.length > 0 ? element : null);
+  if (struct) {
+    addXmpFields(properties, struct, `${name}/`);
+    return;
+  }
+
+  properties.push({ name, value: element.getAttributeNS(XMP_RDF_NS, 'resource') || element.textContent.trim() });
+}
+
+// ==================== IPTC ====================
+
+/**
+ * Get the IPTC-IIM data of a page
+ *
+ * Some writers declare tag 33723 as LONG, which UTIF turns into numbers;
+ * writing them back in the file's byte order restores the bytes.
+ *
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @param {boolean} isLE - Byte order of the file
+ * @returns {Uint8Array|null}
+ */
+function getIptcBytes(ifd, isLE) {
+  const value = ifd.t33723;
+  if (value instanceof Uint8Array) return value;
+  if (value && typeof value[0] === 'number') {
+    const bytes = new Uint8Array(value.length * 4);
+    const view = new DataView(bytes.buffer);
+    value.forEach((v, i) => view.setUint32(i * 4, v, isLE));
+    return bytes;
+  }
+  if (ifd.t34377 instanceof Uint8Array) return findPhotoshopIptc(ifd.t34377);
+  return null;
+}
+
+/**
+ * Find the IPTC resource (ID 0x0404) in Photoshop image resources
+ * @param {Uint8Array} bytes - Tag 34377
+ * @returns {Uint8Array|null}
+ */
+function findPhotoshopIptc(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let i = 0;
+  while (i + 12 <= bytes.length && String.fromCharCode(...bytes.subarray(i, i + 4)) === '8BIM') {
+    const id = view.getUint16(i + 4);
+    // Pascal name, padded to an even length including the length byte
+    const nameLength = bytes[i + 6];
+    i += 6 + nameLength + 1 + ((nameLength + 1) & 1);
+    if (i + 4 > bytes.length) break;
+
+    const size = view.getUint32(i);
+    i += 4;
+    if (id === 0x0404) return bytes.subarray(i, Math.min(i + size, bytes.length));
+    i += size + (size & 1);
+  }
+  return null;
+}
+
+/**
+ * Parse IPTC-IIM application record datasets
+ *
+ * Repeated datasets (e.g. Keywords) are joined with '; '. Text is UTF-8 if
+ * the envelope says so (1:90), Latin-1 otherwise.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseIptc(bytes) {
+  const datasets = [];
+  let utf8 = false;
+  let i = 0;
+
+  while (i + 5 <= bytes.length) {
+    // Datasets start with a tag marker; anything else is padding
+    if (bytes[i] !== 0x1C) { i++; continue; }
+
+    const record = bytes[i + 1];
+    const dataset = bytes[i + 2];
+    let length = (bytes[i + 3] << 8) | bytes[i + 4];
+    i += 5;
+
+    // Extended length: the low bits give the size of the length field
+    if (length & 0x8000) {
+      const size = length & 0x7FFF;
+      length = 0;
+      for (let j = 0; j < size; j++) length = length * 256 + bytes[i + j];
+      i += size;
+    }
+
+    const data = bytes.subarray(i, i + length);
+    i += length;
+
+    if (record === 1 && dataset === 90) {
+      // ESC % G selects UTF-8
+      utf8 = data.length >= 3 && data[0] === 0x1B && data[1] === 0x25 && data[2] === 0x47;
+    } else if (record === 2 && dataset !== 0) {
+      datasets.push({ dataset, data });
+    }
+  }
+
+  const decoder = new TextDecoder(utf8 ? 'utf-8' : 'latin1');
+  const fields = new Map();
+  for (const { dataset, data } of datasets) {
+    const name = IPTC_DATASET_NAMES[dataset] || `2:${dataset}`;
+    const value = decoder.decode(data).trim();
+    fields.set(name, fields.has(name) ? `${fields.get(name)}; ${value}` : value);
+  }
+  return [...fields].map(([name, value]) => ({ name, value }));
+}
+
+// ==================== Pages ====================
+
+/**
+ * Describe a page for the properties panel
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @param {boolean} isLE - Byte order of the file the IFD was read from
+ * @returns {Object} { summary, tags, exif, subIFDs, xmp, iptc }; exif, xmp
+ *   and iptc are null when the page has none; subIFDs lists the tags of
+ *   each SubIFD (e.g. reduced-resolution copies)
+ */
+function describeTiffIfd(ifd, isLE) {
+  const iptc = getIptcBytes(ifd, isLE);
+  return {
+    summary: summarizeTiffIfd(ifd),
+    tags: listTiffTags(ifd),
+    exif: ifd.exifIFD ? listTiffTags(ifd.exifIFD) : null,
+    subIFDs: (ifd.subIFD || []).map(listTiffTags),
+    xmp: ifd.t700 instanceof Uint8Array ? parseXmp(ifd.t700) : null,
+    iptc: iptc ? parseIptc(iptc) : null
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * TIFF Viewer - TIFF Writer
+ *
+ * Writes the viewer's pages as a new multi-page TIFF, in their current
+ * order and with their rotation applied:
+ * - Unrotated pages are copied: all tags UTIF knows a type for, and the
+ *   strip/tile data byte-for-byte, so compression and metadata are kept.
+ * - Rotated pages are decoded, rotated and re-encoded with
+ *   UTIF.encodeStrip() (CCITT G4 for bilevel pages, LZW for gray and
+ *   color), keeping the descriptive tags and resolution of the original.
+ *
+ * Pages may come from different files (merged documents). The output uses
+ * the byte order of the first page's file; pages from a file with the
+ * other byte order are copied only if their samples are at most 8 bits,
+ * since wider samples would read back swapped. IFDs are written with
+ * UTIF._writeIFD.
+ */
+
+/** Tags that point at other data in the source file; never copied */
+const TIFF_POINTER_TAGS = [273, 279, 288, 289, 324, 325, 330, 513, 514, 34665, 34853, 40965, 50740];
+
+/** Tags kept on re-encoded pages */
+const TIFF_METADATA_TAGS = [269, 270, 271, 272, 285, 297, 305, 306, 315, 316, 700, 33432, 33723];
+
+// ==================== Tags ====================
+
+/**
+ * Check that a value read by UTIF can be written back with the given type
+ */
+function isWritableTagValue(type, value) {
+  if (!value || value.length === 0) return false;
+  if (type === 1 || type === 7) return value instanceof Uint8Array;
+  if (type === 2) return typeof value[0] === 'string';
+  return Array.isArray(value) && value.every(v => typeof v === 'number' && isFinite(v));
+}
+
+/**
+ * Copy the writable tags of an IFD
+ *
+ * IPTC (33723) declared as LONG is read as numbers; it is written back as
+ * the bytes it holds (see getIptcBytes() in tiff-tags.js).
+ *
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @param {boolean} sourceIsLE - Byte order of the file the IFD was read from
+ * @param {Function} keep - (tag) => boolean
+ * @returns {Object} { t<tag>: value }
+ */
+function copyTiffTags(ifd, sourceIsLE, keep) {
+  const tags = {};
+  for (const key of Object.keys(ifd)) {
+    if (!/^t\d+$/.test(key)) continue;
+    const tag = Number(key.slice(1));
+    const type = UTIF.ttypes[tag];
+    if (type != null && keep(tag) && isWritableTagValue(type, ifd[key])) {
+      tags[key] = ifd[key];
+    }
+  }
+
+  if (ifd.t33723 && !tags.t33723 && keep(33723)) {
+    const iptc = getIptcBytes(ifd, sourceIsLE);
+    if (iptc) tags.t33723 = iptc;
+  }
+  return tags;
+}
+
+/**
+ * Order tags by number, as TIFF requires (UTIF._writeIFD keeps key order)
+ */
+function sortTiffTags(tags) {
+  const sorted = {};
+  for (const key of Object.keys(tags).sort((a, b) => a.slice(1) - b.slice(1))) {
+    sorted[key] = tags[key];
+  }
+  return sorted;
+}
+
+/**
+ * Upper bound of the bytes UTIF._writeIFD writes for a set of tags
+ */
+function tiffIfdSize(tags) {
+  const typeSizes = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+  let size = 2 + Object.keys(tags).length * 12 + 4;
+  for (const key of Object.keys(tags)) {
+    const type = UTIF.ttypes[key.slice(1)];
+    const count = type === 2 ? tags[key][0].length + 1 : tags[key].length;
+    const bytes = typeSizes[type] * count;
+    if (bytes > 4) size += bytes + (bytes & 1);
+  }
+  return size;
+}
+
+// ==================== Pages ====================
+
+/**
+ * Prepare an unrotated page for copying
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @param {Uint8Array} source - The file the IFD was read from
+ * @param {boolean} isLE - Byte order of the output file
+ * @returns {Object|null} { tags, blocks, offsetTag, countTag }, or null if
+ *   the data can't be copied (old-style JPEG, missing byte counts, wide
+ *   samples in the other byte order)
+ */
+function copyTiffPage(ifd, source, isLE) {
+  const compression = ifd.t259 ? ifd.t259[0] : 1;
+  const tiled = ifd.t322 != null;
+  const offsets = tiled ? ifd.t324 : ifd.t273;
+  const counts = tiled ? ifd.t325 : ifd.t279;
+
+  if (compression === 6 || !offsets || !counts || offsets.length !== counts.length) return null;
+  if ((source[0] === 0x49) !== isLE && ifd.t258 && ifd.t258.some(bits => bits > 8)) return null;
+  if (offsets.some((offset, i) => offset + counts[i] > source.length)) return null;
+
+  return {
+    tags: copyTiffTags(ifd, source[0] === 0x49, tag => !TIFF_POINTER_TAGS.includes(tag)),
+    blocks: offsets.map((offset, i) => source.subarray(offset, offset + counts[i])),
+    offsetTag: tiled ? 't324' : 't273',
+    countTag: tiled ? 't325' : 't279'
+  };
+}
+
+/**
+ * Rotate RGBA pixels clockwise by a multiple of 90 degrees
+ * @returns {{data: Uint8Array, width: number, height: number}}
+ */
+function rotateRgba(rgba, width, height, rotation) {
+  if (rotation === 0) return { data: rgba, width, height };
+
+  const src = new Uint32Array(rgba.buffer, rgba.byteOffset, width * height);
+  const out = new Uint32Array(width * height);
+  const turned = rotation === 90 || rotation === 270;
+  const outWidth = turned ? height : width;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let tx, ty;
+      if (rotation === 90) { tx = height - 1 - y; ty = x; }
+      else if (rotation === 180) { tx = width - 1 - x; ty = height - 1 - y; }
+      else { tx = y; ty = width - 1 - x; }
+      out[ty * outWidth + tx] = src[y * width + x];
+    }
+  }
+
+  return {
+    data: new Uint8Array(out.buffer),
+    width: outWidth,
+    height: turned ? width : height
+  };
+}
+
+/**
+ * Decode, rotate and re-encode a page
+ * @param {Object} ifd - IFD from UTIF.decode()
+ * @param {Uint8Array} source - The file the IFD was read from
+ * @param {number} rotation - 0, 90, 180 or 270 (clockwise)
+ * @returns {Object} { tags, blocks, offsetTag, countTag }
+ */
+function encodeTiffPage(ifd, source, rotation) {
+  // The viewer's IFDs carry no pixels (see decode-worker.js). Decode into a
+  // copy so the pixels are dropped again; UTIF copies typed arrays it is
+  // given, so pass the ArrayBuffer.
+  const decoded = { ...ifd };
+  UTIF.decodeImage(source.byteOffset === 0 ? source.buffer : source.slice().buffer, decoded);
+  const image = rotateRgba(UTIF.toRGBA8(decoded), decoded.width, decoded.height, rotation);
+  const [stripTags, data] = UTIF.encodeStrip(image.data, image.width, image.height, 5);
+  const tags = copyTiffTags(ifd, source[0] === 0x49, tag => TIFF_METADATA_TAGS.includes(tag));
+
+  // Resolution follows the pixels
+  const turned = rotation === 90 || rotation === 270;
+  if (ifd.t282) tags[turned && ifd.t283 ? 't283' : 't282'] = ifd.t282;
+  if (ifd.t283) tags[turned && ifd.t282 ? 't282' : 't283'] = ifd.t283;
+  if (ifd.t296) tags.t296 = ifd.t296;
+
+  Object.assign(tags, stripTags);
+
+  return { tags, blocks: [data], offsetTag: 't273', countTag: 't279' };
+}
+
+// ==================== Document ====================
+
+/**
+ * Write pages as a multi-page TIFF
+ *
+ * @param {Array} pages - [{ ifd, source, rotation }] in output order;
+ *   source.buffer is the file the page was read from
+ * @returns {ArrayBuffer}
+ */
+function createTiff(pages) {
+  const isLE = pages[0].source.buffer[0] === 0x49;
+  const bin = isLE ? UTIF._binLE : UTIF._binBE;
+
+  const prepared = pages.map((page) => {
+    const rotation = ((page.rotation % 360) + 360) % 360;
+    return (rotation === 0 && copyTiffPage(page.ifd, page.source.buffer, isLE)) || encodeTiffPage(page.ifd, page.source.buffer, rotation);
+  });
+
+  // Offsets and byte counts are filled in below; size the IFDs with them
+  let total = 8;
+  for (const page of prepared) {
+    page.tags[page.offsetTag] = page.blocks.map(() => 0);
+    page.tags[page.countTag] = page.blocks.map(block => block.length);
+    page.tags = sortTiffTags(page.tags);
+    total += page.blocks.reduce((sum, block) => sum + block.length + 1, 0) + tiffIfdSize(page.tags) + 1;
+  }
+
+  const out = new Uint8Array(total);
+  out[0] = out[1] = isLE ? 0x49 : 0x4D;
+  bin.writeUshort(out, 2, 42);
+
+  let position = 8;
+  let nextIfdPointer = 4;
+  for (const page of prepared) {
+    // Image data first, word-aligned, so the IFD can hold final offsets
+    page.blocks.forEach((block, i) => {
+      position += position & 1;
+      out.set(block, position);
+      page.tags[page.offsetTag][i] = position;
+      position += block.length;
+    });
+
+    position += position & 1;
+    bin.writeUint(out, nextIfdPointer, position);
+    [nextIfdPointer, position] = UTIF._writeIFD(bin, out, position, page.tags);
+  }
+
+  return out.buffer.slice(0, position);
+}
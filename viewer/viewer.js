@@ -2,7 +2,7 @@
  * TIFF Viewer - Main Viewer Logic
  *
  * This is the core viewer component that handles:
- * - Loading and decoding TIFF files (via UTIF.js)
+ * - Loading and decoding TIFF files (via UTIF.js, in decode-worker.js)
  * - Rendering pages to canvas elements
  * - User interactions (zoom, rotation, navigation, view modes)
  * - OCR processing workflow (via background.js -> offscreen.js)
@@ -26,13 +26,21 @@ class TiffViewer {
 
     /**
      * Array of page objects, each containing:
-     * - ifd: TIFF Image File Directory data from UTIF.js
-     * - canvas: HTMLCanvasElement with rendered page
+     * - ifd: TIFF Image File Directory data from UTIF.js (tags only; the
+     *   pixels are decoded in decode-worker.js and drawn to canvas)
+     * - canvas: HTMLCanvasElement with rendered page (empty until the page
+     *   is decoded, and again once evicted; see loadPageCanvas())
+     * - decoded: Whether canvas holds the page's pixels
      * - width/height: Original image dimensions
+     * - levels: Resolution levels [{ width, height }] the worker can render
+     *   by region, largest first (empty if it can't)
+     * - deepZoom: Whether the page is shown as an overview plus tiles
+     * - tileLayer/tiles: Tile elements of a deep zoom page (see Deep Zoom)
      * - rotation: Current rotation in degrees (0, 90, 180, 270)
      * - element: DOM wrapper element for the page
      * - ocrData: OCR results (text, words with bounding boxes)
      * - textOverlay: DOM element for selectable OCR text
+     * - thumbnail: DOM element for the page in the thumbnail sidebar
      * - computedScale: Current zoom scale factor
      */
     this.pages = [];
@@ -52,6 +60,61 @@ class TiffViewer {
     /** Original filename when loaded from local file */
     this.currentFileName = null;
 
+    /** URL waiting on the "view or download" prompt (site policy 'ask') */
+    this.askUrl = null;
+
+    /** AbortController of the running load, for the Cancel button (null when idle) */
+    this.loadAbort = null;
+
+    /** Whether the document properties panel is shown */
+    this.propertiesOpen = false;
+
+    // ==================== Thumbnail State ====================
+
+    /** Whether the thumbnail sidebar is shown */
+    this.sidebarOpen = false;
+
+    /** Pages selected in the sidebar (page objects, so they survive reordering) */
+    this.selectedPages = new Set();
+
+    /** Page a Shift+click range starts from */
+    this.selectionAnchor = null;
+
+    /** Pages being dragged in the sidebar (null when not dragging) */
+    this.draggedPages = null;
+
+    // ==================== Page Rendering State ====================
+
+    /** Page objects by page wrapper and thumbnail element, for the observers */
+    this.elementPages = new WeakMap();
+
+    /** Pages within a screen of the viewport; their canvases are never evicted */
+    this.nearPages = new Set();
+
+    /** Pages whose thumbnails are in view in the sidebar */
+    this.visibleThumbnails = new Set();
+
+    /** Visible height of the pages in the viewport, to pick the current page */
+    this.visibleHeights = new Map();
+
+    /** Decoded pages, least recently used first */
+    this.decodedPages = new Set();
+
+    /** Bytes held by the canvases of decodedPages */
+    this.decodedBytes = 0;
+
+    /** Whether pumpDecodes() is running */
+    this.decodeRunning = false;
+
+    /** Deep zoom pages that have tiles */
+    this.tiledPages = new Set();
+
+    /** Tile requests sent to decode workers and not answered yet */
+    this.tileRequests = 0;
+
+    /** requestAnimationFrame id of a pending updateTiles() (0 if none) */
+    this.tileUpdateFrame = 0;
+
     // ==================== OCR State ====================
 
     /** Whether OCR engine has been initialized */
@@ -60,17 +123,64 @@ class TiffViewer {
     /** Whether OCR is currently in progress */
     this.ocrInProgress = false;
 
-    /** Flag to cancel ongoing OCR operation */
-    this.ocrCancelled = false;
+    /** Id of the latest OCR run; each run checks it to see if it was cancelled */
+    this.ocrRunId = 0;
 
     /** Listener for OCR progress messages from background */
     this.ocrProgressListener = null;
 
+    /** True while "All Pages" runs - per-page progress is replaced by a page count */
+    this.ocrBatchActive = false;
+
+    /** OCR languages the engine was initialized with, e.g. 'eng+spa' */
+    this.ocrLanguage = DEFAULT_SETTINGS.ocrLanguage;
+
+    // ==================== Find State ====================
+
+    /** Normalized text being searched for ('' when the find bar is empty) */
+    this.findQuery = '';
+
+    /** Matches in document order: { pageIndex, wordIndices: number[] } */
+    this.findMatches = [];
+
+    /** Index into findMatches of the current match (-1 if none) */
+    this.findIndex = -1;
+
+    /** Indices into findMatches by page index */
+    this.findMatchesByPage = new Map();
+
+    /** Bumped when matches change; page.findVersion is the one a page is highlighted for */
+    this.findVersion = 0;
+
+    /** Pending search while the user is typing */
+    this.findTimer = null;
+
     // ==================== Configuration ====================
 
     /** Available numeric zoom levels for zoom in/out stepping */
     this.zoomLevels = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
 
+    /** Width of sidebar thumbnails in pixels */
+    this.thumbnailWidth = 120;
+
+    /** Memory for decoded page canvases; pages out of view are evicted beyond it */
+    this.canvasBudgetBytes = 512 * 1024 * 1024;
+
+    /** Pages larger than this (in pixels) are shown as an overview plus tiles, if possible */
+    this.deepZoomPixels = 16 * 1024 * 1024;
+
+    /** Longest side of a deep zoom page's overview canvas */
+    this.overviewSize = 2048;
+
+    /** Smallest on-screen tile size in CSS pixels */
+    this.tileSize = 256;
+
+    /** Tile requests in flight at once, so panning doesn't queue stale tiles */
+    this.maxTileRequests = 4;
+
+    /** Pause in typing before the find bar searches (ms) */
+    this.findDelay = 150;
+
     // Cache DOM elements
     this.elements = {
       toolbar: document.getElementById('toolbar'),
@@ -78,10 +188,27 @@ class TiffViewer {
       loadingOverlay: document.getElementById('loading-overlay'),
       loadingText: document.getElementById('loading-text'),
       loadingProgress: document.getElementById('loading-progress'),
+      loadingCancel: document.getElementById('btn-loading-cancel'),
       errorDisplay: document.getElementById('error-display'),
       errorMessage: document.getElementById('error-message'),
       errorDetails: document.getElementById('error-details'),
       dropZone: document.getElementById('drop-zone'),
+      askPrompt: document.getElementById('ask-prompt'),
+      askDetails: document.getElementById('ask-details'),
+      askOrigin: document.getElementById('ask-origin'),
+      askRemember: document.getElementById('ask-remember'),
+      extractDialog: document.getElementById('extract-dialog'),
+      extractHint: document.getElementById('extract-hint'),
+      extractRange: document.getElementById('extract-range'),
+      extractError: document.getElementById('extract-error'),
+      sidebarButton: document.getElementById('btn-sidebar'),
+      thumbnailSidebar: document.getElementById('thumbnail-sidebar'),
+      thumbnailList: document.getElementById('thumbnail-list'),
+      thumbnailSelection: document.getElementById('thumbnail-selection'),
+      propertiesButton: document.getElementById('btn-properties'),
+      propertiesPanel: document.getElementById('properties-panel'),
+      propertiesContent: document.getElementById('properties-content'),
+      propertiesCopy: document.getElementById('btn-properties-copy'),
       fileInput: document.getElementById('file-input'),
       pageInput: document.getElementById('page-input'),
       pageTotal: document.getElementById('page-total'),
@@ -93,16 +220,24 @@ class TiffViewer {
       printFrame: document.getElementById('print-frame'),
       // OCR elements
       ocrDropdown: document.getElementById('ocr-dropdown'),
+      saveDropdown: document.getElementById('save-dropdown'),
+      pageDropdown: document.getElementById('page-dropdown'),
+      ocrLanguages: document.getElementById('ocr-languages'),
       ocrOverlay: document.getElementById('ocr-overlay'),
       ocrStatus: document.getElementById('ocr-status'),
       ocrProgressFill: document.getElementById('ocr-progress-fill'),
       ocrProgressText: document.getElementById('ocr-progress-text'),
+      // Find elements
+      findBar: document.getElementById('find-bar'),
+      findInput: document.getElementById('find-input'),
+      findCount: document.getElementById('find-count'),
+      findPrev: document.getElementById('btn-find-prev'),
+      findNext: document.getElementById('btn-find-next'),
     };
 
     // Bind methods
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleWheel = this.handleWheel.bind(this);
-    this.handleScroll = this.handleScroll.bind(this);
     this.handleDrop = this.handleDrop.bind(this);
     this.handleDragOver = this.handleDragOver.bind(this);
 
@@ -111,10 +246,30 @@ class TiffViewer {
 
   init() {
     this.setupEventListeners();
+    this.setupPageObservers();
     this.loadFromUrl();
   }
 
   setupEventListeners() {
+    // Thumbnail sidebar
+    this.elements.sidebarButton.addEventListener('click', () => this.toggleSidebar());
+    document.getElementById('btn-thumb-rotate-ccw').addEventListener('click', () => this.rotate(-90));
+    document.getElementById('btn-thumb-rotate-cw').addEventListener('click', () => this.rotate(90));
+    document.getElementById('btn-thumb-delete').addEventListener('click', () => this.deleteSelectedPages());
+
+    const thumbnailList = this.elements.thumbnailList;
+    thumbnailList.addEventListener('click', (e) => this.handleThumbnailClick(e));
+    thumbnailList.addEventListener('dragstart', (e) => this.handleThumbnailDragStart(e));
+    thumbnailList.addEventListener('dragover', (e) => this.handleThumbnailDragOver(e));
+    thumbnailList.addEventListener('drop', (e) => this.handleThumbnailDrop(e));
+    thumbnailList.addEventListener('dragend', () => this.endThumbnailDrag());
+    thumbnailList.addEventListener('keydown', (e) => {
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        this.deleteSelectedPages();
+      }
+    });
+
     // Navigation buttons
     document.getElementById('btn-prev').addEventListener('click', () => this.prevPage());
     document.getElementById('btn-next').addEventListener('click', () => this.nextPage());
@@ -135,18 +290,98 @@ class TiffViewer {
     // View mode toggle
     document.getElementById('btn-view-mode').addEventListener('click', () => this.toggleViewMode());
 
-    // Save
-    document.getElementById('btn-save').addEventListener('click', () => this.save());
+    // Save dropdown
+    document.getElementById('btn-save').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.elements.saveDropdown.classList.toggle('open');
+    });
+
+    document.getElementById('btn-save-original').addEventListener('click', () => {
+      this.elements.saveDropdown.classList.remove('open');
+      this.save();
+    });
+
+    document.getElementById('btn-save-pdf').addEventListener('click', () => {
+      this.elements.saveDropdown.classList.remove('open');
+      this.savePdf();
+    });
+
+    document.getElementById('btn-save-modified').addEventListener('click', () => {
+      this.elements.saveDropdown.classList.remove('open');
+      this.saveModified();
+    });
+
+    document.getElementById('btn-extract-pages').addEventListener('click', () => {
+      this.elements.saveDropdown.classList.remove('open');
+      this.openExtractDialog();
+    });
+
+    // Extract pages dialog
+    document.getElementById('btn-extract-save').addEventListener('click', () => this.extractPages());
+    document.getElementById('btn-extract-cancel').addEventListener('click', () => this.closeExtractDialog());
+    this.elements.extractRange.addEventListener('input', () => {
+      this.elements.extractError.textContent = '';
+    });
+    this.elements.extractRange.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.extractPages();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeExtractDialog();
+      }
+    });
+
+    // Page dropdown
+    document.getElementById('btn-page').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.elements.pageDropdown.classList.toggle('open');
+    });
+
+    document.getElementById('btn-page-up').addEventListener('click', () => {
+      this.elements.pageDropdown.classList.remove('open');
+      this.movePage(-1);
+    });
+
+    document.getElementById('btn-page-down').addEventListener('click', () => {
+      this.elements.pageDropdown.classList.remove('open');
+      this.movePage(1);
+    });
+
+    document.getElementById('btn-page-delete').addEventListener('click', () => {
+      this.elements.pageDropdown.classList.remove('open');
+      this.deleteSelectedPages();
+    });
+
+    document.getElementById('btn-page-add').addEventListener('click', () => {
+      this.elements.pageDropdown.classList.remove('open');
+      // The change handler appends to the open document
+      this.elements.fileInput.click();
+    });
+
+    // Document properties
+    this.elements.propertiesButton.addEventListener('click', () => this.toggleProperties());
+    document.getElementById('btn-properties-close').addEventListener('click', () => this.toggleProperties());
+    this.elements.propertiesCopy.addEventListener('click', () => this.copyProperties());
+
+    // Cancel a running load
+    this.elements.loadingCancel.addEventListener('click', () => this.cancelLoad());
 
     // Print
     document.getElementById('btn-print').addEventListener('click', () => this.print());
 
+    // View or download prompt
+    document.getElementById('btn-ask-view').addEventListener('click', () => this.answerAskPrompt('view'));
+    document.getElementById('btn-ask-download').addEventListener('click', () => this.answerAskPrompt('download'));
+
     // File chooser
     document.getElementById('btn-choose-file')?.addEventListener('click', () => {
       this.elements.fileInput.click();
     });
     this.elements.fileInput.addEventListener('change', (e) => {
-      if (e.target.files[0]) this.loadFile(e.target.files[0]);
+      this.openFiles(e.target.files);
+      // Allow choosing the same file again
+      e.target.value = '';
     });
 
     // Drag and drop
@@ -164,19 +399,24 @@ class TiffViewer {
     // Mouse wheel zoom (Ctrl+wheel)
     this.elements.pagesContainer.addEventListener('wheel', this.handleWheel, { passive: false });
 
-    // Scroll tracking for continuous mode
-    this.elements.pagesContainer.addEventListener('scroll', this.handleScroll);
+    // Deep zoom pages: tiles follow the viewport, dragging pans
+    this.elements.pagesContainer.addEventListener('scroll', () => this.scheduleTileUpdate(), { passive: true });
+    this.elements.pagesContainer.addEventListener('pointerdown', (e) => this.handlePanStart(e));
 
     // OCR dropdown toggle
     document.getElementById('btn-ocr').addEventListener('click', (e) => {
       e.stopPropagation();
-      this.elements.ocrDropdown.classList.toggle('open');
+      if (this.elements.ocrDropdown.classList.toggle('open')) {
+        this.renderOcrLanguages();
+      }
     });
 
-    // Close dropdown when clicking outside
+    // Close dropdowns when clicking outside
     document.addEventListener('click', (e) => {
-      if (!this.elements.ocrDropdown.contains(e.target)) {
-        this.elements.ocrDropdown.classList.remove('open');
+      for (const dropdown of [this.elements.ocrDropdown, this.elements.saveDropdown, this.elements.pageDropdown]) {
+        if (!dropdown.contains(e.target)) {
+          dropdown.classList.remove('open');
+        }
       }
     });
 
@@ -196,6 +436,30 @@ class TiffViewer {
       this.clearOcr();
     });
 
+    for (const format of ['txt', 'hocr', 'alto']) {
+      document.getElementById(`btn-ocr-export-${format}`).addEventListener('click', () => {
+        this.elements.ocrDropdown.classList.remove('open');
+        this.exportOcr(format);
+      });
+    }
+
+    // Find bar
+    this.elements.findInput.addEventListener('input', () => this.scheduleFind());
+    this.elements.findInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        // A search still waiting for a pause in typing goes to its first match
+        if (this.findTimer) this.runFind();
+        else this.findStep(e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeFindBar();
+      }
+    });
+    this.elements.findPrev.addEventListener('click', () => this.findStep(-1));
+    this.elements.findNext.addEventListener('click', () => this.findStep(1));
+    document.getElementById('btn-find-close').addEventListener('click', () => this.closeFindBar());
+
     // OCR cancel button
     document.getElementById('btn-ocr-cancel').addEventListener('click', () => {
       this.cancelOcr();
@@ -203,6 +467,13 @@ class TiffViewer {
   }
 
   handleKeyDown(e) {
+    // Find works everywhere, including from the find input itself
+    if ((e.key === 'f' || e.key === 'F') && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      this.openFindBar();
+      return;
+    }
+
     // Ignore if typing in input
     if (e.target.tagName === 'INPUT') return;
 
@@ -269,49 +540,30 @@ class TiffViewer {
   handleWheel(e) {
     if (e.ctrlKey || e.metaKey) {
       e.preventDefault();
+
+      // Keep the point under the pointer in place, like a map
+      const container = this.elements.pagesContainer;
+      const rect = container.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const fractionX = (container.scrollLeft + x) / container.scrollWidth;
+      const fractionY = (container.scrollTop + y) / container.scrollHeight;
+
       if (e.deltaY < 0) {
         this.zoomIn();
       } else {
         this.zoomOut();
       }
-    }
-  }
-
-  handleScroll() {
-    if (this.viewMode !== 'continuous' || this.pages.length === 0) return;
-
-    const container = this.elements.pagesContainer;
-    const scrollTop = container.scrollTop;
-    const containerHeight = container.clientHeight;
-
-    // Find which page is most visible
-    let maxVisiblePage = 0;
-    let maxVisibleArea = 0;
-
-    for (let i = 0; i < this.pages.length; i++) {
-      const pageEl = this.pages[i].element;
-      if (!pageEl) continue;
-
-      const rect = pageEl.getBoundingClientRect();
-      const containerRect = container.getBoundingClientRect();
-
-      const visibleTop = Math.max(rect.top, containerRect.top);
-      const visibleBottom = Math.min(rect.bottom, containerRect.bottom);
-      const visibleArea = Math.max(0, visibleBottom - visibleTop);
-
-      if (visibleArea > maxVisibleArea) {
-        maxVisibleArea = visibleArea;
-        maxVisiblePage = i;
-      }
-    }
 
-    if (maxVisiblePage !== this.currentPage) {
-      this.currentPage = maxVisiblePage;
-      this.updatePageIndicator();
+      container.scrollLeft = fractionX * container.scrollWidth - x;
+      container.scrollTop = fractionY * container.scrollHeight - y;
     }
   }
 
   handleDragOver(e) {
+    // Thumbnails being reordered are not files
+    if (!e.dataTransfer.types.includes('Files')) return;
+
     e.preventDefault();
     e.dataTransfer.dropEffect = 'copy';
     this.elements.dropZone.classList.add('active');
@@ -319,14 +571,13 @@ class TiffViewer {
   }
 
   handleDrop(e) {
+    if (!e.dataTransfer.types.includes('Files')) return;
+
     e.preventDefault();
     this.elements.dropZone.classList.remove('active');
     this.elements.dropZone.style.display = 'none';
 
-    const file = e.dataTransfer.files[0];
-    if (file && (file.type === 'image/tiff' || /\.tiff?$/i.test(file.name))) {
-      this.loadFile(file);
-    }
+    this.openFiles(e.dataTransfer.files);
   }
 
   /**
@@ -351,6 +602,12 @@ class TiffViewer {
         return;
       }
 
+      // Site policy 'ask' - let the user choose between viewing and downloading
+      if (params.get('ask') === '1') {
+        this.showAskPrompt(url);
+        return;
+      }
+
       await this.loadUrl(url);
     } else {
       // Show drop zone for file selection
@@ -358,6 +615,65 @@ class TiffViewer {
     }
   }
 
+  /**
+   * Ask whether to view the TIFF here or download it (site policy 'ask')
+   */
+  showAskPrompt(url) {
+    this.askUrl = url;
+    const parsed = new URL(url);
+    let filename = parsed.pathname.split('/').pop();
+    try {
+      filename = decodeURIComponent(filename);
+    } catch (e) {
+      // Keep the encoded name
+    }
+    filename = filename || parsed.hostname;
+
+    document.title = filename + ' - TIFF Viewer';
+    this.elements.loadingOverlay.style.display = 'none';
+    this.elements.askDetails.textContent = url;
+    // file: URLs have no origin to remember a rule for
+    this.elements.askOrigin.textContent = parsed.origin;
+    this.elements.askRemember.parentElement.style.display = parsed.origin === 'null' ? 'none' : '';
+    this.elements.askPrompt.style.display = 'flex';
+  }
+
+  /**
+   * Handle the user's choice from the ask prompt
+   * @param {string} action - 'view' or 'download'
+   */
+  async answerAskPrompt(action) {
+    const url = this.askUrl;
+    if (!url) return;
+    this.askUrl = null;
+
+    if (this.elements.askRemember.checked) {
+      try {
+        await setSiteRule(new URL(url).origin, action);
+      } catch (err) {
+        logError('[Ask] Failed to save site rule:', err);
+      }
+    }
+
+    this.elements.askPrompt.style.display = 'none';
+
+    if (action === 'view') {
+      await this.loadUrl(url);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'download-original', url });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Download failed');
+      }
+      this.showNotice('Download started', 'The file is being saved by Chrome. You can close this tab.');
+    } catch (err) {
+      logError('[Ask] Download failed:', err);
+      this.showError('Failed to download TIFF file', err.message);
+    }
+  }
+
   showDropZone() {
     this.elements.loadingOverlay.style.display = 'none';
     this.elements.dropZone.style.display = 'flex';
@@ -367,6 +683,7 @@ class TiffViewer {
     this.elements.loadingOverlay.style.display = 'flex';
     this.elements.loadingText.textContent = message;
     this.elements.loadingProgress.textContent = '';
+    this.elements.loadingCancel.style.display = this.loadAbort ? '' : 'none';
     this.elements.errorDisplay.style.display = 'none';
     this.elements.dropZone.style.display = 'none';
   }
@@ -376,13 +693,40 @@ class TiffViewer {
     this.elements.errorDisplay.style.display = 'flex';
     this.elements.errorMessage.textContent = message;
     this.elements.errorDetails.textContent = details;
+    this.elements.errorDisplay.classList.remove('notice');
+  }
+
+  /**
+   * Show a neutral message in the error panel (without the error icon)
+   */
+  showNotice(message, details = '') {
+    this.showError(message, details);
+    this.elements.errorDisplay.classList.add('notice');
   }
 
   hideLoading() {
     this.elements.loadingOverlay.style.display = 'none';
   }
 
+  /**
+   * Start a cancellable load (shows Cancel in the loading overlay)
+   * @returns {AbortSignal}
+   */
+  beginLoad() {
+    this.loadAbort = new AbortController();
+    return this.loadAbort.signal;
+  }
+
+  /** Cancel the running load, if any */
+  cancelLoad() {
+    if (this.loadAbort) {
+      log('[Load] Cancelled');
+      this.loadAbort.abort();
+    }
+  }
+
   async loadUrl(url) {
+    const signal = this.beginLoad();
     this.showLoading('Fetching TIFF file...');
 
     try {
@@ -391,11 +735,19 @@ class TiffViewer {
       document.title = filename + ' - TIFF Viewer';
       this.elements.fileInfo.textContent = filename;
 
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
+      // Prefer the server-provided name for extensionless URLs (e.g. /documents/8812/content)
+      const dispositionName = getDispositionFilename(response.headers.get('content-disposition'));
+      if (dispositionName) {
+        document.title = dispositionName + ' - TIFF Viewer';
+        this.elements.fileInfo.textContent = dispositionName;
+        this.currentFileName = dispositionName;
+      }
+
       const contentLength = response.headers.get('content-length');
       const total = contentLength ? parseInt(contentLength, 10) : 0;
 
@@ -426,14 +778,21 @@ class TiffViewer {
         offset += chunk.length;
       }
 
-      await this.decodeTiff();
+      await this.decodeTiff(signal);
     } catch (err) {
+      if (err.name === 'AbortError') {
+        this.showNotice('Loading cancelled');
+        return;
+      }
       logError('Failed to load TIFF:', err);
       this.showError('Failed to load TIFF file', err.message);
+    } finally {
+      this.loadAbort = null;
     }
   }
 
   async loadFile(file) {
+    const signal = this.beginLoad();
     this.showLoading('Reading file...');
 
     try {
@@ -442,166 +801,858 @@ class TiffViewer {
       this.currentFileName = file.name; // Store for save function
 
       this.buffer = new Uint8Array(await file.arrayBuffer());
-      await this.decodeTiff();
+      await this.decodeTiff(signal);
     } catch (err) {
       logError('Failed to load file:', err);
       this.showError('Failed to load TIFF file', err.message);
+    } finally {
+      this.loadAbort = null;
     }
   }
 
-  async decodeTiff() {
-    this.showLoading('Decoding TIFF...');
+  /**
+   * Replace the document with the pages of this.buffer
+   * @param {AbortSignal} signal - Cancels decoding
+   */
+  async decodeTiff(signal) {
+    this.showLoading('Reading pages...');
 
     try {
-      // Decode TIFF structure
-      const ifds = UTIF.decode(this.buffer);
-
-      if (!ifds || ifds.length === 0) {
-        throw new Error('No pages found in TIFF file');
-      }
-
-      this.elements.loadingText.textContent = `Rendering ${ifds.length} page${ifds.length > 1 ? 's' : ''}...`;
-
       // Clear existing pages
+      this.closeDocument();
       this.pages = [];
+      this.selectedPages.clear();
       this.elements.pagesContainer.innerHTML = '';
+      this.elements.thumbnailList.innerHTML = '';
 
-      // Decode and render each page
-      for (let i = 0; i < ifds.length; i++) {
-        this.elements.loadingProgress.textContent = `Page ${i + 1} of ${ifds.length}`;
-
-        const ifd = ifds[i];
-        UTIF.decodeImage(this.buffer, ifd);
-
-        const rgba = UTIF.toRGBA8(ifd);
-        const width = ifd.width;
-        const height = ifd.height;
-
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.createImageData(width, height);
-        imageData.data.set(rgba);
-        ctx.putImageData(imageData, 0, 0);
-
-        // Create page wrapper
-        const pageWrapper = document.createElement('div');
-        pageWrapper.className = 'page-wrapper';
-        pageWrapper.dataset.pageIndex = i;
-
-        const pageContent = document.createElement('div');
-        pageContent.className = 'page-content';
-        pageContent.appendChild(canvas);
-
-        pageWrapper.appendChild(pageContent);
-        this.elements.pagesContainer.appendChild(pageWrapper);
-
-        this.pages.push({
-          ifd,
-          canvas,
-          width,
-          height,
-          rotation: 0,
-          element: pageWrapper,
-          ocrData: null,      // Will hold OCR results
-          textOverlay: null   // Will hold text overlay element
-        });
-      }
+      await this.addPages({ buffer: this.buffer, name: this.currentFileName, hash: null }, signal);
 
       // Update UI
       this.elements.pageTotal.textContent = this.pages.length;
       this.elements.pageInput.max = this.pages.length;
       this.updateNavigationButtons();
+      this.updateThumbnails();
       this.updatePageIndicator();
       this.applyZoom();
       this.updateViewMode();
+      if (this.propertiesOpen) this.renderProperties();
 
       this.hideLoading();
     } catch (err) {
+      if (err.name === 'AbortError') {
+        this.showNotice('Loading cancelled');
+        return;
+      }
       logError('Failed to decode TIFF:', err);
       this.showError('Failed to decode TIFF file', err.message);
     }
   }
 
-  // ==================== Navigation Methods ====================
+  /**
+   * Read a TIFF and append its pages to the document
+   *
+   * Pages are laid out from the sizes in their IFDs; the pixels are decoded
+   * once a page comes near the viewport (see Page Rendering). Nothing is
+   * added if the file can't be read or the load is cancelled.
+   *
+   * @param {Object} source - { buffer, name, hash } shared by all pages of
+   *   the file; hash is filled in by getSourceHash(), pageCount and the
+   *   decode worker by openSource()
+   * @param {AbortSignal} signal - Cancels reading
+   */
+  async addPages(source, signal) {
+    const filePages = await this.openSource(source, signal);
+    source.pageCount = filePages.length;
+
+    filePages.forEach(({ index, ifd, levels }) => {
+      // Empty until decoded; applyZoom() gives it the page's size
+      const canvas = document.createElement('canvas');
+      canvas.width = 0;
+      canvas.height = 0;
+
+      // Create page wrapper
+      const pageWrapper = document.createElement('div');
+      pageWrapper.className = 'page-wrapper';
+      pageWrapper.dataset.pageIndex = this.pages.length;
+
+      const pageContent = document.createElement('div');
+      pageContent.className = 'page-content';
+      pageContent.appendChild(canvas);
+
+      pageWrapper.appendChild(pageContent);
+
+      const page = {
+        ifd,
+        source,
+        ifdIndex: index,    // Position in the source file, kept when pages are moved
+        canvas,
+        width: ifd.width,
+        height: ifd.height,
+        rotation: 0,
+        element: pageWrapper,
+        decoded: false,
+        decoding: null,     // Promise while the worker decodes the page
+        levels,
+        deepZoom: levels.length > 0 && ifd.width * ifd.height > this.deepZoomPixels,
+        tileLayer: null,    // Set below for deep zoom pages
+        tiles: new Map(),
+        ocrData: null,      // Will hold OCR results
+        textOverlay: null,  // Will hold text overlay element
+        thumbnail: null     // Created below
+      };
 
-  /** Navigate to the previous page */
-  prevPage() {
-    if (this.currentPage > 0) {
-      this.goToPage(this.currentPage - 1);
-    }
+      if (page.deepZoom) {
+        pageWrapper.classList.add('deep-zoom');
+        page.tileLayer = document.createElement('div');
+        page.tileLayer.className = 'tile-layer';
+        pageContent.appendChild(page.tileLayer);
+      }
+
+      this.createThumbnail(page);
+      this.elements.pagesContainer.appendChild(pageWrapper);
+      this.pages.push(page);
+      this.observePage(page);
+    });
   }
 
-  nextPage() {
-    if (this.currentPage < this.pages.length - 1) {
-      this.goToPage(this.currentPage + 1);
+  /**
+   * Open dropped or chosen files
+   *
+   * Without a document the first file is opened; every other file (or all
+   * of them, if a document is open) is appended to the document.
+   *
+   * @param {FileList|File[]} files
+   */
+  async openFiles(files) {
+    const tiffs = [...files].filter(file => file.type === 'image/tiff' || /\.tiff?$/i.test(file.name));
+    if (tiffs.length === 0) return;
+
+    if (this.pages.length === 0) {
+      await this.loadFile(tiffs.shift());
+      if (this.pages.length === 0) return;
     }
+    if (tiffs.length > 0) await this.appendFiles(tiffs);
   }
 
-  goToPage(index) {
-    if (index < 0 || index >= this.pages.length) return;
-
-    this.currentPage = index;
-    this.updatePageIndicator();
-    this.updateNavigationButtons();
+  /**
+   * Append the pages of other TIFF files to the open document
+   * @param {File[]} files
+   */
+  async appendFiles(files) {
+    const firstAdded = this.pages.length;
+    const failed = [];
 
-    if (this.viewMode === 'single') {
-      this.updateViewMode();
-    } else {
-      // Scroll to page in continuous mode
-      const pageEl = this.pages[index].element;
-      if (pageEl) {
-        pageEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    const signal = this.beginLoad();
+    this.showLoading('Adding pages...');
+    for (const file of files) {
+      try {
+        const buffer = new Uint8Array(await file.arrayBuffer());
+        await this.addPages({ buffer, name: file.name, hash: null }, signal);
+        log(`[Merge] Added ${file.name}`);
+      } catch (err) {
+        // Cancel keeps the files added so far
+        if (err.name === 'AbortError') break;
+        logError(`[Merge] Failed to add ${file.name}:`, err);
+        failed.push(`${file.name}: ${err.message}`);
       }
     }
-  }
+    this.loadAbort = null;
+    this.hideLoading();
 
-  updatePageIndicator() {
-    this.elements.pageInput.value = this.currentPage + 1;
-  }
+    const sources = new Set(this.pages.map(page => page.source));
+    if (sources.size > 1) {
+      this.elements.fileInfo.textContent = `${this.getDocumentFileName()} (+${sources.size - 1} more)`;
+    }
 
-  updateNavigationButtons() {
-    document.getElementById('btn-prev').disabled = this.currentPage === 0;
-    document.getElementById('btn-next').disabled = this.currentPage >= this.pages.length - 1;
+    if (this.pages.length > firstAdded) {
+      this.applyZoom();
+      this.updatePageOrder(firstAdded);
+    }
+    if (failed.length > 0) {
+      alert('Some files could not be added:\n' + failed.join('\n'));
+    }
   }
 
-  // ==================== Zoom Methods ====================
+  // ==================== Page Rendering Methods ====================
+  //
+  // Pages are laid out from their IFD sizes alone; pixels are decoded on
+  // demand, one page at a time, by the decode worker of the page's file
+  // (see decode-worker.js):
+  // 1. IntersectionObservers track the pages within a screen of the
+  //    viewport (nearPages) and the thumbnails in view
+  // 2. pumpDecodes() decodes those, nearest to the current page first
+  // 3. Past canvasBudgetBytes, decoded canvases that are not near the
+  //    viewport are evicted, least recently used first
+  // Anything else that needs pixels (OCR, print, PDF) goes through
+  // loadPageCanvas().
+  //
 
-  /** Step zoom in to the next preset level */
-  zoomIn() {
-    const currentIndex = this.zoomLevels.indexOf(this.zoom);
-    if (currentIndex < this.zoomLevels.length - 1) {
-      this.setZoom(this.zoomLevels[currentIndex + 1]);
-    } else if (currentIndex === -1) {
-      // Find next level above current zoom
-      const nextLevel = this.zoomLevels.find(z => z > this.zoom);
-      if (nextLevel) this.setZoom(nextLevel);
-    }
+  /**
+   * Create the observers that drive decoding and the current page
+   */
+  setupPageObservers() {
+    const root = this.elements.pagesContainer;
+
+    this.nearObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const page = this.elementPages.get(entry.target);
+        if (!page) continue;
+        if (entry.isIntersecting) {
+          this.nearPages.add(page);
+          // Find highlights are only kept up to date near the viewport
+          if (page.findVersion !== this.findVersion) this.applyFindHighlights(page);
+        } else {
+          this.nearPages.delete(page);
+        }
+      }
+      this.pumpDecodes();
+    }, { root, rootMargin: '100% 0px' });
+
+    this.visibilityObserver = new IntersectionObserver(
+      (entries) => this.handlePageVisibility(entries),
+      { root, threshold: Array.from({ length: 21 }, (_, i) => i / 20) }
+    );
+
+    this.thumbnailObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const page = this.elementPages.get(entry.target);
+        if (!page) continue;
+        if (entry.isIntersecting) this.visibleThumbnails.add(page);
+        else this.visibleThumbnails.delete(page);
+      }
+      this.pumpDecodes();
+    }, { root: this.elements.thumbnailList, rootMargin: '50% 0px' });
   }
 
-  zoomOut() {
-    const currentIndex = this.zoomLevels.indexOf(this.zoom);
-    if (currentIndex > 0) {
-      this.setZoom(this.zoomLevels[currentIndex - 1]);
-    } else if (currentIndex === -1) {
-      // Find previous level below current zoom
-      const prevLevels = this.zoomLevels.filter(z => z < this.zoom);
-      if (prevLevels.length) this.setZoom(prevLevels[prevLevels.length - 1]);
+  /**
+   * Track a new page's wrapper and thumbnail
+   */
+  observePage(page) {
+    this.elementPages.set(page.element, page);
+    this.elementPages.set(page.thumbnail, page);
+    this.nearObserver.observe(page.element);
+    this.visibilityObserver.observe(page.element);
+    this.thumbnailObserver.observe(page.thumbnail);
+  }
+
+  /**
+   * Stop tracking deleted pages and free their canvases, and the decode
+   * workers of files no page uses any more
+   * @param {Iterable} pages - Pages already removed from this.pages
+   */
+  forgetPages(pages) {
+    const usedSources = new Set(this.pages.map(page => page.source));
+
+    for (const page of pages) {
+      this.nearObserver.unobserve(page.element);
+      this.visibilityObserver.unobserve(page.element);
+      this.thumbnailObserver.unobserve(page.thumbnail);
+      this.nearPages.delete(page);
+      this.visibleThumbnails.delete(page);
+      this.visibleHeights.delete(page);
+      this.evictPage(page);
+      this.clearTiles(page);
+
+      if (!usedSources.has(page.source)) this.closeSource(page.source);
     }
   }
 
-  setZoom(value) {
-    if (value === 'fit-width' || value === 'fit-page') {
-      this.zoom = value;
-    } else {
-      this.zoom = parseFloat(value);
+  /**
+   * Stop all decoding and tracking, before the document is replaced
+   */
+  closeDocument() {
+    for (const source of new Set(this.pages.map(page => page.source))) {
+      this.closeSource(source);
     }
 
-    this.elements.zoomSelect.value = value;
-    this.applyZoom();
+    this.nearObserver.disconnect();
+    this.visibilityObserver.disconnect();
+    this.thumbnailObserver.disconnect();
+    this.nearPages.clear();
+    this.visibleThumbnails.clear();
+    this.visibleHeights.clear();
+    this.decodedPages.clear();
+    this.decodedBytes = 0;
+    this.tiledPages.clear();
+  }
+
+  /**
+   * Make the most visible page the current one (continuous mode)
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  handlePageVisibility(entries) {
+    for (const entry of entries) {
+      const page = this.elementPages.get(entry.target);
+      if (!page) continue;
+      if (entry.isIntersecting) this.visibleHeights.set(page, entry.intersectionRect.height);
+      else this.visibleHeights.delete(page);
+    }
+    this.scheduleTileUpdate();
+
+    if (this.viewMode !== 'continuous') return;
+
+    let mostVisible = null;
+    let maxHeight = 0;
+    for (const [page, height] of this.visibleHeights) {
+      if (height > maxHeight) {
+        maxHeight = height;
+        mostVisible = page;
+      }
+    }
+
+    const index = mostVisible ? this.pages.indexOf(mostVisible) : -1;
+    if (index !== -1 && index !== this.currentPage) {
+      this.currentPage = index;
+      this.updatePageIndicator();
+    }
+  }
+
+  /**
+   * Start the decode worker of a file and read its pages
+   *
+   * The worker keeps the file for decodePage() and tiles until
+   * closeSource().
+   *
+   * @param {Object} source - Page source (see addPages)
+   * @param {AbortSignal} signal - Closes the source
+   * @returns {Promise<Array>} [{ index, ifd, levels }] (see
+   *   decode-worker.js); rejects with an AbortError when cancelled
+   */
+  async openSource(source, signal) {
+    if (signal.aborted) {
+      throw new DOMException('Loading cancelled', 'AbortError');
+    }
+
+    source.worker = new Worker('decode-worker.js');
+    source.requests = new Map();
+    source.nextRequestId = 0;
+
+    source.worker.onmessage = (e) => {
+      const request = source.requests.get(e.data.id);
+      if (!request) return;
+      source.requests.delete(e.data.id);
+      if (e.data.error) request.reject(new Error(e.data.error));
+      else request.resolve(e.data);
+    };
+    source.worker.onerror = (e) => {
+      e.preventDefault();
+      this.closeSource(source, new Error(e.message || 'Decode worker failed'));
+    };
+
+    const onAbort = () => this.closeSource(source);
+    signal.addEventListener('abort', onAbort);
+    try {
+      const { pages } = await this.requestDecode(source, { type: 'open', buffer: source.buffer });
+      return pages;
+    } catch (err) {
+      this.closeSource(source);
+      throw err;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Send a request to a source's decode worker
+   * @returns {Promise<Object>} The worker's reply
+   */
+  requestDecode(source, message) {
+    return new Promise((resolve, reject) => {
+      if (!source.worker) {
+        reject(new Error('Decode worker closed'));
+        return;
+      }
+      const id = source.nextRequestId++;
+      source.requests.set(id, { resolve, reject });
+      source.worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * Terminate a source's decode worker and reject its pending requests
+   * @param {Object} source
+   * @param {Error} [err] - Rejection reason, an AbortError by default
+   */
+  closeSource(source, err = new DOMException('Loading cancelled', 'AbortError')) {
+    if (!source.worker) return;
+
+    source.worker.terminate();
+    source.worker = null;
+    for (const request of source.requests.values()) {
+      request.reject(err);
+    }
+    source.requests.clear();
+  }
+
+  /**
+   * Get a page's canvas with its pixels, decoding the page if needed
+   *
+   * The canvas can be evicted again later, so use it right away.
+   *
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async loadPageCanvas(page) {
+    if (!page.decoded) {
+      if (!page.decoding) {
+        page.decoding = this.decodePage(page).finally(() => {
+          page.decoding = null;
+        });
+      }
+      await page.decoding;
+    }
+
+    // Most recently used last
+    if (this.decodedPages.delete(page)) this.decodedPages.add(page);
+    return page.canvas;
+  }
+
+  /**
+   * Decode a page into its canvas and thumbnail
+   */
+  async decodePage(page) {
+    page.element.classList.add('decoding');
+
+    try {
+      const request = page.deepZoom
+        ? this.getOverviewRequest(page)
+        : { type: 'decode', index: page.ifdIndex };
+      const { bitmap } = await this.requestDecode(page.source, request);
+
+      // Deleted while decoding
+      if (!page.element.isConnected) {
+        bitmap.close();
+        return;
+      }
+
+      page.canvas.width = bitmap.width;
+      page.canvas.height = bitmap.height;
+      page.canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      bitmap.close();
+
+      page.decoded = true;
+      this.decodedPages.add(page);
+      this.decodedBytes += page.canvas.width * page.canvas.height * 4;
+      log(`[Render] Decoded page ${page.ifdIndex + 1} of ${page.source.name}, ${this.formatBytes(this.decodedBytes)} in canvases`);
+
+      if (!page.thumbnailDrawn) this.renderThumbnail(page);
+      this.enforceCanvasBudget(page);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        logError(`[Render] Failed to decode page ${page.ifdIndex + 1} of ${page.source.name}:`, err);
+        page.decodeError = err.message;
+        page.element.classList.add('decode-error');
+      }
+      throw err;
+    } finally {
+      page.element.classList.remove('decoding');
+    }
+  }
+
+  /**
+   * Free a page's pixels; the canvas keeps its CSS size, so the layout stays
+   */
+  evictPage(page) {
+    if (!page.decoded) return;
+
+    this.decodedBytes -= page.canvas.width * page.canvas.height * 4;
+    this.decodedPages.delete(page);
+    page.decoded = false;
+    page.canvas.width = 0;
+    page.canvas.height = 0;
+  }
+
+  /**
+   * Evict least recently used canvases until within canvasBudgetBytes
+   * @param {Object} keep - Page that was just decoded, never evicted here
+   */
+  enforceCanvasBudget(keep) {
+    for (const page of this.decodedPages) {
+      if (this.decodedBytes <= this.canvasBudgetBytes) break;
+      if (page === keep || this.nearPages.has(page)) continue;
+      log(`[Render] Evicting page ${page.ifdIndex + 1} of ${page.source.name}`);
+      this.evictPage(page);
+    }
+  }
+
+  /**
+   * The next page to decode: the one nearest to the current page among the
+   * pages near the viewport, then among the visible thumbnails not drawn yet
+   * @returns {Object|null}
+   */
+  nextPageToDecode() {
+    const nearest = (pages) => {
+      let best = null;
+      let bestDistance = Infinity;
+      for (const page of pages) {
+        if (page.decoded || page.decodeError) continue;
+        const distance = Math.abs(Number(page.element.dataset.pageIndex) - this.currentPage);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = page;
+        }
+      }
+      return best;
+    };
+
+    return nearest(this.nearPages) ||
+      nearest([...this.visibleThumbnails].filter(page => !page.thumbnailDrawn));
+  }
+
+  /**
+   * Decode wanted pages one at a time until none are left
+   */
+  async pumpDecodes() {
+    if (this.decodeRunning) return;
+    this.decodeRunning = true;
+
+    try {
+      let page;
+      while ((page = this.nextPageToDecode())) {
+        try {
+          await this.loadPageCanvas(page);
+        } catch (err) {
+          // Logged and marked on the page by decodePage()
+        }
+      }
+    } finally {
+      this.decodeRunning = false;
+    }
+  }
+
+  // ==================== Deep Zoom Methods ====================
+  //
+  // Pages over deepZoomPixels that the worker can render by region (tiled,
+  // or in strips of at most a few megapixels) are never decoded whole:
+  // - The page canvas holds an overview of at most overviewSize pixels,
+  //   rendered from the smallest resolution level that has the detail
+  // - When the zoom needs more detail than the overview has, the page's
+  //   tile layer shows tiles of the best resolution level (the page, or a
+  //   reduced-resolution SubIFD or IFD), only for the part in view
+  // Tiles are positioned in percent of the layer, which applyZoom() sizes
+  // and rotates like the canvas. Dragging a deep zoom page pans it.
+  //
+
+  /**
+   * Worker request for a deep zoom page's overview
+   * @returns {Object} 'region' request (see decode-worker.js)
+   */
+  getOverviewRequest(page) {
+    const fit = Math.min(1, this.overviewSize / Math.max(page.width, page.height));
+
+    // Smallest level with at least the overview's detail
+    let level = 0;
+    while (level + 1 < page.levels.length && page.levels[level + 1].width >= page.width * fit) level++;
+
+    return {
+      type: 'region',
+      index: page.ifdIndex,
+      level,
+      x: 0,
+      y: 0,
+      width: page.levels[level].width,
+      height: page.levels[level].height,
+      outWidth: Math.max(1, Math.round(page.width * fit)),
+      outHeight: Math.max(1, Math.round(page.height * fit))
+    };
+  }
+
+  /**
+   * Size and rotate a tile layer like the page canvas
+   */
+  layoutTileLayer(page) {
+    const layer = page.tileLayer;
+    layer.style.width = `${page.width * page.computedScale}px`;
+    layer.style.height = `${page.height * page.computedScale}px`;
+    layer.style.transform = `translate(-50%, -50%) rotate(${page.rotation}deg)`;
+  }
+
+  /** Update tiles on the next frame (after scrolling, zoom or layout changes) */
+  scheduleTileUpdate() {
+    if (!this.tileUpdateFrame) {
+      this.tileUpdateFrame = requestAnimationFrame(() => this.updateTiles());
+    }
+  }
+
+  /**
+   * Give visible deep zoom pages the tiles they need, and drop the rest
+   */
+  updateTiles() {
+    this.tileUpdateFrame = 0;
+
+    for (const page of this.tiledPages) {
+      if (!this.visibleHeights.has(page)) this.clearTiles(page);
+    }
+    for (const page of this.visibleHeights.keys()) {
+      if (page.deepZoom) this.updatePageTiles(page);
+    }
+  }
+
+  /**
+   * Part of a page in the viewport, in image pixels of the unrotated page
+   * @returns {Object|null} { left, top, right, bottom }
+   */
+  getVisiblePageRect(page) {
+    const view = this.elements.pagesContainer.getBoundingClientRect();
+    const box = page.tileLayer.parentElement.getBoundingClientRect();
+
+    const left = Math.max(view.left, box.left) - box.left;
+    const top = Math.max(view.top, box.top) - box.top;
+    const right = Math.min(view.right, box.right) - box.left;
+    const bottom = Math.min(view.bottom, box.bottom) - box.top;
+    if (right <= left || bottom <= top) return null;
+
+    // Undo the rotation around the centre of the page content
+    const scale = page.computedScale;
+    const angle = -page.rotation * Math.PI / 180;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+    const toImage = (x, y) => {
+      const dx = x - box.width / 2;
+      const dy = y - box.height / 2;
+      return [
+        (dx * cos - dy * sin) / scale + page.width / 2,
+        (dx * sin + dy * cos) / scale + page.height / 2
+      ];
+    };
+
+    const [x1, y1] = toImage(left, top);
+    const [x2, y2] = toImage(right, bottom);
+    return {
+      left: Math.min(x1, x2),
+      top: Math.min(y1, y2),
+      right: Math.max(x1, x2),
+      bottom: Math.max(y1, y2)
+    };
+  }
+
+  /**
+   * Create, keep and remove a deep zoom page's tiles for the current view,
+   * and request the missing ones nearest to the centre of the view first
+   */
+  updatePageTiles(page) {
+    const dpr = window.devicePixelRatio || 1;
+    const needed = page.computedScale * dpr;    // Device pixels per image pixel
+    const rect = this.getVisiblePageRect(page);
+
+    // The overview has enough detail
+    if (!rect || needed <= Math.min(1, this.overviewSize / Math.max(page.width, page.height))) {
+      this.clearTiles(page);
+      return;
+    }
+
+    // Smallest level with enough detail, then downsampled by a power of
+    // two, so tiles stay the same while zooming within one step
+    let levelIndex = 0;
+    while (levelIndex + 1 < page.levels.length && page.levels[levelIndex + 1].width / page.width >= needed) levelIndex++;
+    const level = page.levels[levelIndex];
+    const levelScale = level.width / page.width;    // Level pixels per image pixel
+    const outScale = Math.min(1, 2 ** Math.ceil(Math.log2(needed / levelScale)));
+
+    let regionSize = 256;
+    while (regionSize * outScale < this.tileSize * dpr) regionSize *= 2;
+
+    // Tiles in view, plus one around it for panning
+    const columns = Math.ceil(level.width / regionSize);
+    const rows = Math.ceil(level.height / regionSize);
+    const firstColumn = Math.max(0, Math.floor(rect.left * levelScale / regionSize) - 1);
+    const lastColumn = Math.min(columns - 1, Math.floor(rect.right * levelScale / regionSize) + 1);
+    const firstRow = Math.max(0, Math.floor(rect.top * levelScale / regionSize) - 1);
+    const lastRow = Math.min(rows - 1, Math.floor(rect.bottom * levelScale / regionSize) + 1);
+
+    const wanted = new Set();
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        const key = `${levelIndex}/${regionSize}/${outScale}/${column}/${row}`;
+        wanted.add(key);
+        if (page.tiles.has(key)) continue;
+
+        const x = column * regionSize;
+        const y = row * regionSize;
+        const width = Math.min(regionSize, level.width - x);
+        const height = Math.min(regionSize, level.height - y);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * outScale));
+        canvas.height = Math.max(1, Math.round(height * outScale));
+        canvas.style.left = `${x / level.width * 100}%`;
+        canvas.style.top = `${y / level.height * 100}%`;
+        canvas.style.width = `${width / level.width * 100}%`;
+        canvas.style.height = `${height / level.height * 100}%`;
+        page.tileLayer.appendChild(canvas);
+
+        page.tiles.set(key, {
+          canvas,
+          region: { level: levelIndex, x, y, width, height, outWidth: canvas.width, outHeight: canvas.height },
+          loading: false,
+          done: false
+        });
+      }
+    }
+
+    for (const [key, tile] of page.tiles) {
+      if (!wanted.has(key)) {
+        tile.canvas.remove();
+        page.tiles.delete(key);
+      }
+    }
+    if (page.tiles.size > 0) this.tiledPages.add(page);
+
+    const centerX = (rect.left + rect.right) / 2 * levelScale;
+    const centerY = (rect.top + rect.bottom) / 2 * levelScale;
+    const distance = ({ region }) => Math.hypot(region.x + region.width / 2 - centerX, region.y + region.height / 2 - centerY);
+    const missing = [...page.tiles.values()]
+      .filter(tile => !tile.loading && !tile.done)
+      .sort((a, b) => distance(a) - distance(b));
+
+    for (const tile of missing) {
+      if (this.tileRequests >= this.maxTileRequests) break;
+      this.loadTile(page, tile);
+    }
+  }
+
+  /**
+   * Render a tile in the page's decode worker
+   */
+  async loadTile(page, tile) {
+    tile.loading = true;
+    this.tileRequests++;
+
+    try {
+      const { bitmap } = await this.requestDecode(page.source, { type: 'region', index: page.ifdIndex, ...tile.region });
+      // Dropped while rendering when it left the view
+      if (tile.canvas.isConnected) {
+        tile.canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      }
+      bitmap.close();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        logError(`[Render] Failed to render a tile of page ${page.ifdIndex + 1} of ${page.source.name}:`, err);
+      }
+    } finally {
+      // Failed tiles are not retried until they are created again
+      tile.loading = false;
+      tile.done = true;
+      this.tileRequests--;
+      this.scheduleTileUpdate();
+    }
+  }
+
+  /**
+   * Remove all tiles of a page; its overview shows through
+   */
+  clearTiles(page) {
+    if (page.tiles.size === 0) return;
+
+    page.tileLayer.replaceChildren();
+    page.tiles.clear();
+    this.tiledPages.delete(page);
+  }
+
+  /**
+   * Start panning a deep zoom page by dragging it
+   */
+  handlePanStart(e) {
+    if (e.button !== 0 || !e.target.closest('.page-wrapper.deep-zoom')) return;
+    e.preventDefault();
+
+    const container = this.elements.pagesContainer;
+    const start = { x: e.clientX, y: e.clientY, left: container.scrollLeft, top: container.scrollTop };
+
+    const move = (ev) => {
+      container.scrollLeft = start.left - (ev.clientX - start.x);
+      container.scrollTop = start.top - (ev.clientY - start.y);
+    };
+    const end = () => {
+      container.removeEventListener('pointermove', move);
+      container.removeEventListener('pointerup', end);
+      container.removeEventListener('pointercancel', end);
+      container.classList.remove('panning');
+    };
+
+    container.setPointerCapture(e.pointerId);
+    container.classList.add('panning');
+    container.addEventListener('pointermove', move);
+    container.addEventListener('pointerup', end);
+    container.addEventListener('pointercancel', end);
+  }
+
+  // ==================== Navigation Methods ====================
+
+  /** Navigate to the previous page */
+  prevPage() {
+    if (this.currentPage > 0) {
+      this.goToPage(this.currentPage - 1);
+    }
+  }
+
+  nextPage() {
+    if (this.currentPage < this.pages.length - 1) {
+      this.goToPage(this.currentPage + 1);
+    }
+  }
+
+  goToPage(index) {
+    if (index < 0 || index >= this.pages.length) return;
+
+    this.currentPage = index;
+    this.updatePageIndicator();
+    this.updateNavigationButtons();
+
+    if (this.viewMode === 'single') {
+      this.updateViewMode();
+    } else {
+      // Scroll to page in continuous mode
+      const pageEl = this.pages[index].element;
+      if (pageEl) {
+        pageEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    }
+  }
+
+  updatePageIndicator() {
+    this.elements.pageInput.value = this.currentPage + 1;
+    this.updateThumbnailHighlight();
+  }
+
+  updateNavigationButtons() {
+    document.getElementById('btn-prev').disabled = this.currentPage === 0;
+    document.getElementById('btn-next').disabled = this.currentPage >= this.pages.length - 1;
+  }
+
+  // ==================== Zoom Methods ====================
+
+  /** Step zoom in to the next preset level */
+  zoomIn() {
+    const currentIndex = this.zoomLevels.indexOf(this.zoom);
+    if (currentIndex < this.zoomLevels.length - 1) {
+      this.setZoom(this.zoomLevels[currentIndex + 1]);
+    } else if (currentIndex === -1) {
+      // Find next level above current zoom
+      const nextLevel = this.zoomLevels.find(z => z > this.zoom);
+      if (nextLevel) this.setZoom(nextLevel);
+    }
+  }
+
+  zoomOut() {
+    const currentIndex = this.zoomLevels.indexOf(this.zoom);
+    if (currentIndex > 0) {
+      this.setZoom(this.zoomLevels[currentIndex - 1]);
+    } else if (currentIndex === -1) {
+      // Find previous level below current zoom
+      const prevLevels = this.zoomLevels.filter(z => z < this.zoom);
+      if (prevLevels.length) this.setZoom(prevLevels[prevLevels.length - 1]);
+    }
+  }
+
+  setZoom(value) {
+    if (value === 'fit-width' || value === 'fit-page') {
+      this.zoom = value;
+    } else {
+      this.zoom = parseFloat(value);
+    }
+
+    this.elements.zoomSelect.value = value;
+    this.applyZoom();
   }
 
   applyZoom() {
@@ -640,6 +1691,7 @@ class TiffViewer {
 
       // Apply rotation
       canvas.style.transform = `rotate(${rotation}deg)`;
+      if (page.tileLayer) this.layoutTileLayer(page);
 
       // Adjust wrapper size for rotated canvas
       if (isRotated) {
@@ -655,6 +1707,7 @@ class TiffViewer {
         this.updateTextOverlay(page);
       }
     }
+    this.scheduleTileUpdate();
 
     // Update zoom select if using numeric zoom
     if (typeof this.zoom === 'number') {
@@ -670,16 +1723,19 @@ class TiffViewer {
   // ==================== Rotation Methods ====================
 
   /**
-   * Rotate the current page by the specified degrees
+   * Rotate the selected pages (see getSelectedPages) by the specified degrees
    * @param {number} degrees - Rotation amount (typically 90 or -90)
    */
   rotate(degrees) {
     if (this.pages.length === 0) return;
 
-    const page = this.pages[this.currentPage];
-    page.rotation = (page.rotation + degrees + 360) % 360;
+    for (const page of this.getSelectedPages()) {
+      page.rotation = (page.rotation + degrees + 360) % 360;
+      this.renderThumbnail(page);
+    }
 
     this.applyZoom();
+    this.pumpDecodes();
   }
 
   // ==================== View Mode Methods ====================
@@ -710,13 +1766,450 @@ class TiffViewer {
     }
   }
 
+  // ==================== Page Editing Methods ====================
+  //
+  // Moving and deleting pages only changes this.pages (and the DOM order);
+  // the file is untouched until "Save as Modified TIFF". Each page keeps its
+  // ifdIndex so cached OCR still matches after pages move.
+  //
+
+  /**
+   * Move the current page earlier (-1) or later (+1)
+   */
+  movePage(delta) {
+    if (this.ocrInProgress) return;
+
+    const from = this.currentPage;
+    const to = from + delta;
+    if (to < 0 || to >= this.pages.length) return;
+
+    const [page] = this.pages.splice(from, 1);
+    this.pages.splice(to, 0, page);
+    this.updatePageOrder(to);
+  }
+
+  /**
+   * Move pages so they sit together before the page at index
+   * @param {Array} pages - Page objects in document order
+   * @param {number} index - Position in this.pages before the move
+   */
+  movePagesTo(pages, index) {
+    if (this.ocrInProgress || pages.length === 0) return;
+
+    const moving = new Set(pages);
+    const before = this.pages.slice(0, index).filter(page => !moving.has(page));
+    const after = this.pages.slice(index).filter(page => !moving.has(page));
+
+    this.pages = [...before, ...pages, ...after];
+    this.updatePageOrder(before.length);
+  }
+
+  /**
+   * Remove the selected pages (see getSelectedPages) from the document
+   */
+  deleteSelectedPages() {
+    if (this.ocrInProgress || this.pages.length === 0) return;
+
+    const doomed = new Set(this.getSelectedPages());
+    if (doomed.size === this.pages.length) {
+      alert('A document needs at least one page.');
+      return;
+    }
+
+    const first = this.pages.findIndex(page => doomed.has(page));
+    for (const page of doomed) {
+      page.element.remove();
+      page.thumbnail.remove();
+    }
+    this.pages = this.pages.filter(page => !doomed.has(page));
+    this.forgetPages(doomed);
+    this.selectedPages.clear();
+    this.updatePageOrder(Math.min(first, this.pages.length - 1));
+  }
+
+  /**
+   * Sync the DOM and page controls after this.pages changed
+   * @param {number} currentIndex - Page to show afterwards
+   */
+  updatePageOrder(currentIndex) {
+    this.pages.forEach((page, i) => {
+      page.element.dataset.pageIndex = i;
+      this.elements.pagesContainer.appendChild(page.element);
+    });
+
+    this.elements.pageTotal.textContent = this.pages.length;
+    this.elements.pageInput.max = this.pages.length;
+    this.updateThumbnails();
+
+    // Match indices refer to positions in this.pages
+    if (this.findQuery) this.runFind();
+
+    this.goToPage(currentIndex);
+    this.updateViewMode();
+    if (this.propertiesOpen) this.renderProperties();
+  }
+
+  // ==================== Thumbnail Sidebar Methods ====================
+  //
+  // Each page has a small canvas in the sidebar, drawn from page.canvas
+  // with the page's rotation once the page is decoded, and kept when the
+  // page's canvas is evicted. Click selects a page, Ctrl+click and
+  // Shift+click extend the selection; rotate and delete then apply to all
+  // selected pages, and dragging moves them together. Everything goes
+  // through this.pages, so save and export see the same result.
+  //
+
+  /** Show or hide the thumbnail sidebar */
+  toggleSidebar() {
+    this.sidebarOpen = !this.sidebarOpen;
+    this.elements.thumbnailSidebar.style.display = this.sidebarOpen ? '' : 'none';
+    this.elements.sidebarButton.classList.toggle('active', this.sidebarOpen);
+
+    // A hidden selection would surprise; toolbar actions go back to the current page
+    if (!this.sidebarOpen) this.selectedPages.clear();
+
+    // Fit modes depend on the width left for the pages
+    this.applyZoom();
+    this.updateThumbnailHighlight();
+  }
+
+  /**
+   * Pages that rotate and delete apply to: the sidebar selection while the
+   * sidebar is open, otherwise the current page
+   * @returns {Array} Page objects in document order
+   */
+  getSelectedPages() {
+    if (this.sidebarOpen && this.selectedPages.size > 0) {
+      return this.pages.filter(page => this.selectedPages.has(page));
+    }
+    return this.pages.length > 0 ? [this.pages[this.currentPage]] : [];
+  }
+
+  /**
+   * Create the sidebar element for a page (sets page.thumbnail)
+   */
+  createThumbnail(page) {
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'thumbnail';
+    thumbnail.draggable = true;
+
+    const canvas = document.createElement('canvas');
+    const label = document.createElement('div');
+    label.className = 'thumbnail-label';
+
+    thumbnail.appendChild(canvas);
+    thumbnail.appendChild(label);
+    page.thumbnail = thumbnail;
+
+    this.renderThumbnail(page);
+  }
+
+  /**
+   * Draw a page's thumbnail, rotated like the page; an undecoded page gets
+   * a blank placeholder of the right shape until pumpDecodes() gets to it
+   */
+  renderThumbnail(page) {
+    const { width, height, rotation } = page;
+    const isRotated = rotation % 180 !== 0;
+    const scale = this.thumbnailWidth / (isRotated ? height : width);
+
+    const canvas = page.thumbnail.querySelector('canvas');
+    canvas.width = this.thumbnailWidth;
+    canvas.height = Math.max(1, Math.round((isRotated ? width : height) * scale));
+
+    page.thumbnailDrawn = page.decoded;
+    if (!page.decoded) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.drawImage(page.canvas, -width * scale / 2, -height * scale / 2, width * scale, height * scale);
+  }
+
+  /**
+   * Put thumbnails in page order and renumber them
+   */
+  updateThumbnails() {
+    this.pages.forEach((page, i) => {
+      page.thumbnail.dataset.pageIndex = i;
+      page.thumbnail.querySelector('.thumbnail-label').textContent = i + 1;
+      this.elements.thumbnailList.appendChild(page.thumbnail);
+    });
+    this.updateThumbnailHighlight();
+  }
+
+  /**
+   * Mark the current and selected thumbnails, and keep the current one in view
+   */
+  updateThumbnailHighlight() {
+    this.pages.forEach((page, i) => {
+      page.thumbnail.classList.toggle('current', i === this.currentPage);
+      page.thumbnail.classList.toggle('selected', this.selectedPages.has(page));
+    });
+
+    const count = this.selectedPages.size;
+    this.elements.thumbnailSelection.textContent = count > 1 ? `${count} selected` : '';
+
+    const current = this.pages[this.currentPage];
+    if (this.sidebarOpen && current) {
+      current.thumbnail.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Select a page, or extend the selection with Ctrl/Cmd (toggle) or Shift (range)
+   */
+  handleThumbnailClick(e) {
+    const thumbnail = e.target.closest('.thumbnail');
+    if (!thumbnail) return;
+
+    const index = Number(thumbnail.dataset.pageIndex);
+    const page = this.pages[index];
+    const anchor = this.pages.indexOf(this.selectionAnchor);
+
+    if (e.shiftKey && anchor !== -1) {
+      const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+      this.selectedPages = new Set(this.pages.slice(from, to + 1));
+    } else if (e.ctrlKey || e.metaKey) {
+      this.selectionAnchor = page;
+      if (this.selectedPages.has(page)) {
+        this.selectedPages.delete(page);
+        this.updateThumbnailHighlight();
+        return;
+      }
+      this.selectedPages.add(page);
+    } else {
+      this.selectionAnchor = page;
+      this.selectedPages = new Set([page]);
+    }
+
+    this.goToPage(index);
+  }
+
+  handleThumbnailDragStart(e) {
+    const thumbnail = e.target.closest('.thumbnail');
+    if (!thumbnail || this.ocrInProgress) {
+      e.preventDefault();
+      return;
+    }
+
+    // Dragging an unselected page drags just that page
+    const page = this.pages[Number(thumbnail.dataset.pageIndex)];
+    if (!this.selectedPages.has(page)) {
+      this.selectionAnchor = page;
+      this.selectedPages = new Set([page]);
+      this.updateThumbnailHighlight();
+    }
+
+    this.draggedPages = this.pages.filter(p => this.selectedPages.has(p));
+    for (const p of this.draggedPages) p.thumbnail.classList.add('dragging');
+
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', this.draggedPages.map(p => this.pages.indexOf(p) + 1).join(','));
+  }
+
+  /**
+   * Find where a drop at the pointer would insert pages
+   * @returns {{thumbnail: HTMLElement|null, after: boolean, index: number}}
+   */
+  getThumbnailDropTarget(e) {
+    const thumbnail = e.target.closest('.thumbnail');
+    if (!thumbnail) return { thumbnail: null, after: true, index: this.pages.length };
+
+    const rect = thumbnail.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    return { thumbnail, after, index: Number(thumbnail.dataset.pageIndex) + (after ? 1 : 0) };
+  }
+
+  handleThumbnailDragOver(e) {
+    if (!this.draggedPages) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const { thumbnail, after } = this.getThumbnailDropTarget(e);
+    for (const page of this.pages) {
+      page.thumbnail.classList.toggle('drop-before', page.thumbnail === thumbnail && !after);
+      page.thumbnail.classList.toggle('drop-after', page.thumbnail === thumbnail && after);
+    }
+  }
+
+  handleThumbnailDrop(e) {
+    if (!this.draggedPages) return;
+
+    e.preventDefault();
+    const pages = this.draggedPages;
+    const { index } = this.getThumbnailDropTarget(e);
+    this.endThumbnailDrag();
+    this.movePagesTo(pages, index);
+  }
+
+  /** Clear drag state and markers (also runs when a drag is cancelled) */
+  endThumbnailDrag() {
+    this.draggedPages = null;
+    for (const page of this.pages) {
+      page.thumbnail.classList.remove('dragging', 'drop-before', 'drop-after');
+    }
+  }
+
+  // ==================== Properties Methods ====================
+  //
+  // The properties panel lists, per source file and per page, what
+  // tiff-tags.js makes of the IFDs: a summary, every tag, the EXIF sub-IFD
+  // and parsed XMP/IPTC packets. The same data is copied as JSON.
+  //
+
+  /** Show or hide the properties panel */
+  toggleProperties() {
+    this.propertiesOpen = !this.propertiesOpen;
+    this.elements.propertiesPanel.style.display = this.propertiesOpen ? '' : 'none';
+    this.elements.propertiesButton.classList.toggle('active', this.propertiesOpen);
+
+    if (this.propertiesOpen) this.renderProperties();
+
+    // Fit modes depend on the width left for the pages
+    this.applyZoom();
+  }
+
+  /**
+   * Collect the document's properties
+   * @returns {Object} { files: [...], pages: [...] } in document order
+   */
+  getDocumentProperties() {
+    const sources = [...new Set(this.pages.map(page => page.source))];
+    const fileName = source => source.name || this.getDocumentFileName();
+
+    return {
+      files: sources.map(source => ({
+        name: fileName(source),
+        size: source.buffer.length,
+        // Version 43 (BigTIFF) has 64-bit offsets, see UTIF.decode()
+        format: (source.buffer[0] === 0x49 ? source.buffer[2] : source.buffer[3]) === 43 ? 'BigTIFF' : 'TIFF',
+        byteOrder: source.buffer[0] === 0x49 ? 'Little-endian (II)' : 'Big-endian (MM)',
+        pages: source.pageCount
+      })),
+      pages: this.pages.map((page, i) => ({
+        page: i + 1,
+        file: fileName(page.source),
+        pageInFile: page.ifdIndex + 1,
+        ...describeTiffIfd(page.ifd, page.source.buffer[0] === 0x49)
+      }))
+    };
+  }
+
+  /**
+   * Build a two-column table
+   * @param {Array} rows - [label, value] pairs
+   * @returns {HTMLTableElement}
+   */
+  createPropertiesTable(rows) {
+    const table = document.createElement('table');
+    table.className = 'properties-table';
+    for (const [label, value] of rows) {
+      const row = table.insertRow();
+      const th = document.createElement('th');
+      th.textContent = label;
+      row.appendChild(th);
+      row.insertCell().textContent = value;
+    }
+    return table;
+  }
+
+  /**
+   * Fill the properties panel (metadata text is only ever set as textContent)
+   */
+  renderProperties() {
+    const content = this.elements.propertiesContent;
+    content.innerHTML = '';
+
+    if (this.pages.length === 0) {
+      content.textContent = 'No document loaded.';
+      return;
+    }
+
+    const properties = this.getDocumentProperties();
+    const merged = properties.files.length > 1;
+
+    for (const file of properties.files) {
+      const heading = document.createElement('h3');
+      heading.textContent = merged ? file.name : 'File';
+      content.appendChild(heading);
+      content.appendChild(this.createPropertiesTable([
+        ['Name', file.name],
+        ['Size', this.formatBytes(file.size)],
+        ['Format', file.format],
+        ['Byte order', file.byteOrder],
+        ['Pages', file.pages]
+      ]));
+    }
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Pages';
+    content.appendChild(heading);
+
+    properties.pages.forEach((page, i) => {
+      const details = document.createElement('details');
+      details.open = i === this.currentPage;
+
+      const summary = document.createElement('summary');
+      summary.textContent = `Page ${page.page}`;
+      if (merged) {
+        summary.textContent += ` (${page.file}, page ${page.pageInFile})`;
+      } else if (page.pageInFile !== page.page) {
+        summary.textContent += ` (page ${page.pageInFile} in file)`;
+      }
+      details.appendChild(summary);
+      details.appendChild(this.createPropertiesTable(Object.entries(page.summary)));
+
+      const tagRows = tags => tags.map(({ tag, name, value }) => [`${name} (${tag})`, value]);
+      const fieldRows = fields => fields.map(({ name, value }) => [name, value]);
+      const sections = [
+        ['All tags', tagRows(page.tags)],
+        ['EXIF', page.exif && tagRows(page.exif)],
+        ...page.subIFDs.map((tags, n) => [`SubIFD ${n + 1}`, tagRows(tags)]),
+        ['XMP', page.xmp && fieldRows(page.xmp)],
+        ['IPTC', page.iptc && fieldRows(page.iptc)]
+      ];
+
+      for (const [title, rows] of sections) {
+        if (!rows) continue;
+        const section = document.createElement('details');
+        const sectionSummary = document.createElement('summary');
+        sectionSummary.textContent = `${title} (${rows.length})`;
+        section.appendChild(sectionSummary);
+        section.appendChild(this.createPropertiesTable(rows));
+        details.appendChild(section);
+      }
+
+      content.appendChild(details);
+    });
+  }
+
+  /**
+   * Copy the document's properties to the clipboard as JSON
+   */
+  async copyProperties() {
+    if (this.pages.length === 0) return;
+
+    const button = this.elements.propertiesCopy;
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(this.getDocumentProperties(), null, 2));
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy as JSON'; }, 1500);
+    } catch (err) {
+      logError('[Properties] Failed to copy:', err);
+      alert('Failed to copy properties: ' + err.message);
+    }
+  }
+
   // ==================== Print & Save Methods ====================
 
   /**
    * Print all pages using a hidden iframe
    * Creates a print-optimized HTML document with page breaks
    */
-  print() {
+  async print() {
     if (this.pages.length === 0) return;
 
     const printFrame = this.elements.printFrame;
@@ -751,42 +2244,184 @@ class TiffViewer {
       <body>
     `;
 
-    for (const page of this.pages) {
-      const dataUrl = page.canvas.toDataURL('image/png');
-      html += `
-        <div class="print-page">
-          <img src="${dataUrl}" style="transform: rotate(${page.rotation}deg);">
-        </div>
-      `;
+    // Pages out of view have no pixels until decoded
+    const pages = [...this.pages];
+    this.showLoading('Preparing pages for print...');
+    try {
+      for (let i = 0; i < pages.length; i++) {
+        this.elements.loadingProgress.textContent = `Page ${i + 1} of ${pages.length}`;
+        const canvas = await this.loadPageCanvas(pages[i]);
+        const dataUrl = canvas.toDataURL('image/png');
+        html += `
+          <div class="print-page">
+            <img src="${dataUrl}" style="transform: rotate(${pages[i].rotation}deg);">
+          </div>
+        `;
+      }
+    } catch (err) {
+      logError('[Print] Failed to prepare pages:', err);
+      alert('Failed to print: ' + err.message);
+      return;
+    } finally {
+      this.hideLoading();
+    }
+
+    html += '</body></html>';
+
+    printDoc.open();
+    printDoc.write(html);
+    printDoc.close();
+
+    // Wait for images to load then print
+    setTimeout(() => {
+      printFrame.contentWindow.print();
+    }, 250);
+  }
+
+  /**
+   * Save the original TIFF file
+   */
+  save() {
+    if (!this.buffer) {
+      log('[Save] No file loaded');
+      return;
+    }
+
+    // A merged document has no single original; save the combined file
+    if (this.pages.some(page => page.source.buffer !== this.buffer)) {
+      log('[Save] Document has pages from several files, saving combined TIFF');
+      this.saveModified();
+      return;
+    }
+
+    const filename = this.getDocumentFileName();
+    this.downloadBlob(new Blob([this.buffer], { type: 'image/tiff' }), filename);
+
+    log(`[Save] Downloaded: ${filename}`);
+  }
+
+  /**
+   * Save the pages in their current order, without deleted pages and with
+   * rotations applied (see tiff-writer.js)
+   */
+  saveModified() {
+    if (this.pages.length === 0) {
+      log('[Save] No file loaded');
+      return;
+    }
+
+    const filename = this.getDocumentFileName().replace(/(\.tiff?)?$/i, '-modified$1');
+
+    try {
+      const data = createTiff(this.pages);
+      this.downloadBlob(new Blob([data], { type: 'image/tiff' }), filename);
+      log(`[Save] Downloaded: ${filename} (${this.formatBytes(data.byteLength)})`);
+    } catch (err) {
+      logError('[Save] Failed to write TIFF:', err);
+      alert('Failed to save TIFF: ' + err.message);
     }
+  }
 
-    html += '</body></html>';
+  /**
+   * Show the extract pages dialog
+   */
+  openExtractDialog() {
+    if (this.pages.length === 0) return;
 
-    printDoc.open();
-    printDoc.write(html);
-    printDoc.close();
+    this.elements.extractHint.textContent =
+      `Pages 1-${this.pages.length}, separated by commas, e.g. 1,3-7,12`;
+    this.elements.extractError.textContent = '';
+
+    // Start from the sidebar selection, e.g. "2-4,7"
+    const selected = this.getSelectedPages();
+    if (selected.length > 1) {
+      const ranges = [];
+      for (const number of selected.map(page => this.pages.indexOf(page) + 1)) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === number - 1) last[1] = number;
+        else ranges.push([number, number]);
+      }
+      this.elements.extractRange.value = ranges.map(([a, b]) => a === b ? `${a}` : `${a}-${b}`).join(',');
+    }
 
-    // Wait for images to load then print
-    setTimeout(() => {
-      printFrame.contentWindow.print();
-    }, 250);
+    this.elements.extractDialog.style.display = 'flex';
+    this.elements.extractRange.focus();
+    this.elements.extractRange.select();
+  }
+
+  closeExtractDialog() {
+    this.elements.extractDialog.style.display = 'none';
   }
 
   /**
-   * Save the original TIFF file
+   * Save the pages listed in the extract dialog as a new TIFF
+   *
+   * Pages are taken in the order they are listed. createTiff() copies their
+   * strip data unchanged unless the page is rotated.
    */
-  save() {
-    if (!this.buffer) {
+  extractPages() {
+    const text = this.elements.extractRange.value;
+    let indices;
+    try {
+      indices = this.parsePageRanges(text, this.pages.length);
+    } catch (err) {
+      this.elements.extractError.textContent = err.message;
+      return;
+    }
+
+    const range = text.replace(/\s+/g, '');
+    const filename = this.getDocumentFileName().replace(/(\.tiff?)?$/i, `-pages-${range}$1`);
+
+    try {
+      const data = createTiff(indices.map(i => this.pages[i]));
+      this.downloadBlob(new Blob([data], { type: 'image/tiff' }), filename);
+      log(`[Save] Extracted ${indices.length} pages: ${filename} (${this.formatBytes(data.byteLength)})`);
+      this.closeExtractDialog();
+    } catch (err) {
+      logError('[Save] Failed to extract pages:', err);
+      this.elements.extractError.textContent = 'Failed to write TIFF: ' + err.message;
+    }
+  }
+
+  /**
+   * Save all pages as a PDF, with OCR text as an invisible searchable layer
+   * (see pdf-writer.js)
+   */
+  async savePdf() {
+    if (this.pages.length === 0) {
       log('[Save] No file loaded');
       return;
     }
 
-    // Get filename from URL or use default
+    const filename = this.getDocumentFileName().replace(/\.tiff?$/i, '') + '.pdf';
+    this.showLoading('Building PDF...');
+
+    try {
+      const blob = await createSearchablePdf(this.pages, (done, total) => {
+        this.elements.loadingProgress.textContent = `Page ${done} of ${total}`;
+      }, page => this.loadPageCanvas(page));
+      this.downloadBlob(blob, filename);
+      log(`[Save] Downloaded: ${filename} (${this.formatBytes(blob.size)})`);
+    } catch (err) {
+      logError('[Save] Failed to build PDF:', err);
+      alert('Failed to create PDF: ' + err.message);
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Get the document's filename from local file / Content-Disposition, URL, or use default
+   * @returns {string}
+   */
+  getDocumentFileName() {
     let filename = 'image.tiff';
     const urlParams = new URLSearchParams(window.location.search);
     const fileUrl = urlParams.get('url');
 
-    if (fileUrl) {
+    if (this.currentFileName) {
+      filename = this.currentFileName;
+    } else if (fileUrl) {
       try {
         const url = new URL(fileUrl);
         const pathParts = url.pathname.split('/');
@@ -797,12 +2432,17 @@ class TiffViewer {
       } catch (e) {
         // Use default filename
       }
-    } else if (this.currentFileName) {
-      filename = this.currentFileName;
     }
 
-    // Create blob and download
-    const blob = new Blob([this.buffer], { type: 'image/tiff' });
+    return filename;
+  }
+
+  /**
+   * Download a blob through a temporary link
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested download name
+   */
+  downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -814,8 +2454,6 @@ class TiffViewer {
 
     // Clean up
     setTimeout(() => URL.revokeObjectURL(url), 100);
-
-    log(`[Save] Downloaded: ${filename}`);
   }
 
   // ==================== OCR Methods ====================
@@ -828,12 +2466,22 @@ class TiffViewer {
   // 5. Offscreen processes image and returns { text, confidence, words[] }
   // 6. Viewer creates text overlay with positioned word spans
   //
+  // Cancel sends 'ocr-cancel': pending requests resolve with
+  // { success: false, cancelled: true } and offscreen aborts the job.
+  //
 
   /**
    * Initialize OCR engine via offscreen document
    * This is called automatically before the first OCR operation
    */
   async initOcr() {
+    // A language change in the OCR menu needs the engine re-initialized
+    const { ocrLanguage } = await loadSettings();
+    if (ocrLanguage !== this.ocrLanguage) {
+      this.ocrLanguage = ocrLanguage;
+      this.ocrInitialized = false;
+    }
+
     if (this.ocrInitialized) {
       return;
     }
@@ -852,7 +2500,15 @@ class TiffViewer {
     }
 
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'ocr-init' });
+      const response = await chrome.runtime.sendMessage({
+        type: 'ocr-init',
+        language: this.ocrLanguage
+      });
+
+      if (response.cancelled) {
+        log('[OCR] Initialization cancelled');
+        return;
+      }
 
       if (!response.success) {
         throw new Error(response.error || 'OCR initialization failed');
@@ -867,10 +2523,68 @@ class TiffViewer {
     }
   }
 
+  /**
+   * Fill the OCR menu with a checkbox per available language
+   *
+   * Packaged languages come from lib/, others are imported on the options
+   * page. Combinations like 'eng+spa' are saved as the ocrLanguage setting.
+   */
+  async renderOcrLanguages() {
+    const container = this.elements.ocrLanguages;
+
+    let available, settings;
+    try {
+      [available, settings] = await Promise.all([getAvailableOcrLanguages(), loadSettings()]);
+    } catch (err) {
+      logError('[OCR] Failed to list languages:', err);
+      available = PACKAGED_OCR_LANGUAGES;
+      settings = await loadSettings();
+    }
+
+    const selected = settings.ocrLanguage.split('+');
+    container.innerHTML = '';
+
+    for (const code of available) {
+      const label = document.createElement('label');
+      label.className = 'dropdown-check';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = code;
+      checkbox.checked = selected.includes(code);
+      checkbox.addEventListener('change', () => this.saveOcrLanguages(checkbox));
+
+      label.append(checkbox, getOcrLanguageName(code));
+      container.appendChild(label);
+    }
+  }
+
+  /**
+   * Save the languages checked in the OCR menu (at least one stays checked)
+   */
+  async saveOcrLanguages(changedCheckbox) {
+    const checked = [...this.elements.ocrLanguages.querySelectorAll('input:checked')];
+    if (checked.length === 0) {
+      changedCheckbox.checked = true;
+      return;
+    }
+
+    const ocrLanguage = checked.map(c => c.value).join('+');
+    try {
+      await saveSettings({ ocrLanguage });
+      log('[OCR] Language set to', ocrLanguage);
+    } catch (err) {
+      logError('[OCR] Failed to save language:', err);
+    }
+  }
+
   /**
    * Handle OCR progress updates
    */
   handleOcrProgress(status, progress) {
+    // Several pages are recognized at once; ocrAllPages() reports the count
+    if (this.ocrBatchActive) return;
+
     const percent = Math.round((progress || 0) * 100);
 
     if (status === 'recognizing text') {
@@ -889,12 +2603,23 @@ class TiffViewer {
   }
 
   /**
-   * Show OCR progress overlay
+   * Show OCR progress overlay for a new OCR run
+   * @returns {number} Id of the run, for isOcrRunCancelled()
    */
   showOcrOverlay() {
     this.elements.ocrOverlay.style.display = 'flex';
     this.ocrInProgress = true;
-    this.ocrCancelled = false;
+    return ++this.ocrRunId;
+  }
+
+  /**
+   * Check whether an OCR run was cancelled (or replaced by a newer run)
+   *
+   * Runs compare their own id rather than reading a shared flag, so a run
+   * cancelled while it awaits stays cancelled when the next one starts.
+   */
+  isOcrRunCancelled(runId) {
+    return runId !== this.ocrRunId;
   }
 
   /**
@@ -918,8 +2643,12 @@ class TiffViewer {
    * Cancel ongoing OCR
    */
   cancelOcr() {
-    this.ocrCancelled = true;
+    this.ocrRunId++;
+    this.ocrBatchActive = false;
     this.hideOcrOverlay();
+
+    // Stop the job in the offscreen document so the next one can start
+    chrome.runtime.sendMessage({ type: 'ocr-cancel' }).catch(() => {});
   }
 
   /**
@@ -928,20 +2657,19 @@ class TiffViewer {
   async ocrCurrentPage() {
     if (this.pages.length === 0 || this.ocrInProgress) return;
 
-    this.showOcrOverlay();
+    const runId = this.showOcrOverlay();
 
     try {
-      await this.initOcr();
-
-      if (this.ocrCancelled) return;
-
       const page = this.pages[this.currentPage];
       this.updateOcrProgress(`Processing page ${this.currentPage + 1}...`, 0);
 
-      await this.ocrPage(page, this.currentPage);
+      await this.ocrPage(page, this.currentPage, runId);
+      if (this.isOcrRunCancelled(runId)) return;
 
       this.hideOcrOverlay();
     } catch (err) {
+      // cancelOcr() already closed the overlay, which a new run may own now
+      if (this.isOcrRunCancelled(runId)) return;
       logError('[OCR] Error during OCR:', err);
       this.hideOcrOverlay();
       const errorMsg = err && err.message ? err.message : (err ? err.toString() : 'Unknown error occurred');
@@ -955,23 +2683,73 @@ class TiffViewer {
   async ocrAllPages() {
     if (this.pages.length === 0 || this.ocrInProgress) return;
 
-    this.showOcrOverlay();
+    const runId = this.showOcrOverlay();
 
     try {
+      const total = this.pages.length;
+
+      // Pages with cached results don't need the OCR engine at all
+      this.updateOcrProgress('Checking OCR cache...', 0);
+      await this.restoreAllCachedOcr();
+      // Deep zoom pages are too large to recognize (see ocrPage)
+      const remaining = [...this.pages.keys()].filter(i => !this.pages[i].ocrData && !this.pages[i].deepZoom);
+      if (this.isOcrRunCancelled(runId)) return;
+      if (remaining.length === 0) {
+        this.hideOcrOverlay();
+        return;
+      }
+
       await this.initOcr();
+      if (this.isOcrRunCancelled(runId)) return;
+
+      // Keep as many pages in flight as the offscreen worker pool can take
+      const concurrency = getOcrPoolSize(await loadSettings());
+      let nextIndex = 0;
+      let completed = total - remaining.length;
+      let failure = null;
+
+      this.ocrBatchActive = true;
+      this.updateOcrProgress(`Recognized ${completed} of ${total} pages...`,
+        Math.round((completed / total) * 100));
+
+      // Each loop stops once this run is cancelled, so a batch started right
+      // after a cancel never shares pages, counters or progress with it
+      const runNext = async () => {
+        while (nextIndex < remaining.length && !this.isOcrRunCancelled(runId) && !failure) {
+          const i = remaining[nextIndex++];
+          try {
+            await this.ocrPage(this.pages[i], i, runId);
+          } catch (err) {
+            // An 'ocr-cancel' now would also stop the jobs of a newer run
+            if (this.isOcrRunCancelled(runId)) return;
+            if (!failure) {
+              failure = err;
+              // Stop the other pages of this batch in the offscreen document
+              chrome.runtime.sendMessage({ type: 'ocr-cancel' }).catch(() => {});
+            }
+            return;
+          }
+          if (this.isOcrRunCancelled(runId)) return;
 
-      for (let i = 0; i < this.pages.length; i++) {
-        if (this.ocrCancelled) break;
+          completed++;
+          this.updateOcrProgress(`Recognized ${completed} of ${total} pages...`,
+            Math.round((completed / total) * 100));
+        }
+      };
 
-        const page = this.pages[i];
-        this.updateOcrProgress(`Processing page ${i + 1} of ${this.pages.length}...`, 0);
+      log(`[OCR] Processing ${remaining.length} pages, ${concurrency} at a time`);
+      await Promise.all(Array.from({ length: Math.min(concurrency, remaining.length) }, runNext));
 
-        await this.ocrPage(page, i);
-      }
+      // The overlay and batch state belong to the newer run now
+      if (this.isOcrRunCancelled(runId)) return;
+      if (failure) throw failure;
 
+      this.ocrBatchActive = false;
       this.hideOcrOverlay();
     } catch (err) {
+      if (this.isOcrRunCancelled(runId)) return;
       logError('[OCR] Error during OCR:', err);
+      this.ocrBatchActive = false;
       this.hideOcrOverlay();
       const errorMsg = err && err.message ? err.message : (err ? err.toString() : 'Unknown error occurred');
       alert('OCR failed: ' + errorMsg);
@@ -980,46 +2758,60 @@ class TiffViewer {
 
   /**
    * OCR a single page
+   *
+   * Uses the OCR cache when it has this page, otherwise starts the engine
+   * if needed, recognizes the page and caches the result.
+   *
+   * @param {number} runId - From showOcrOverlay(); the page is left alone
+   *   once that run is cancelled
    */
-  async ocrPage(page, pageIndex) {
+  async ocrPage(page, pageIndex, runId) {
     if (page.ocrData) {
       // Already processed, skip
       log(`[OCR] Page ${pageIndex + 1} already processed, skipping`);
       return;
     }
 
-    const canvas = page.canvas;
-    log(`[OCR] Starting recognition for page ${pageIndex + 1}, canvas size: ${canvas.width}x${canvas.height}`);
+    if (await this.restoreCachedOcr(page, pageIndex)) {
+      return;
+    }
+
+    await this.initOcr();
+    if (this.isOcrRunCancelled(runId)) return;
 
     try {
+      // A deep zoom page's canvas is only an overview
+      if (page.deepZoom) {
+        throw new Error('Page is too large for OCR');
+      }
+
+      const canvas = await this.loadPageCanvas(page);
+      if (this.isOcrRunCancelled(runId)) return;
+      log(`[OCR] Starting recognition for page ${pageIndex + 1}, canvas size: ${canvas.width}x${canvas.height}`);
+
       // Convert canvas to data URL for sending to offscreen document
       const imageData = canvas.toDataURL('image/png');
 
       // Send to background -> offscreen for OCR
       const response = await chrome.runtime.sendMessage({
         type: 'ocr-recognize',
+        language: this.ocrLanguage,
         imageData: imageData
       });
 
-      if (!response.success) {
-        throw new Error(response.error || 'Recognition failed');
-      }
-
-      if (this.ocrCancelled) {
+      if (response.cancelled || this.isOcrRunCancelled(runId)) {
         log('[OCR] Cancelled');
         return;
       }
 
-      log('[OCR] Recognition result received');
-
-      // Store OCR data
-      page.ocrData = response.data;
+      if (!response.success) {
+        throw new Error(response.error || 'Recognition failed');
+      }
 
-      // Create text overlay
-      this.createTextOverlay(page);
+      log('[OCR] Recognition result received');
 
-      // Mark page as processed
-      page.element.classList.add('ocr-processed');
+      this.showOcrResult(page, { ...response.data, language: this.ocrLanguage });
+      this.cacheOcrResult(page, response.data, this.ocrLanguage);
 
       // Note: Not logging OCR text content for security reasons
       log(`[OCR] Completed for page ${pageIndex + 1}`);
@@ -1073,7 +2865,7 @@ class TiffViewer {
     overlay.style.height = `${overlayHeight}px`;
 
     // Process each word from OCR data
-    for (const word of page.ocrData.words) {
+    for (const [index, word] of page.ocrData.words.entries()) {
       const span = document.createElement('span');
       span.textContent = word.text + ' ';
 
@@ -1120,13 +2912,36 @@ class TiffViewer {
       span.style.fontSize = `${wordHeight * 0.85}px`;
       span.style.width = `${wordWidth}px`;
       span.style.height = `${wordHeight}px`;
+      span.dataset.wordIndex = index;
 
       overlay.appendChild(span);
     }
+
+    // Spans were rebuilt, so restore find highlighting
+    this.applyFindHighlights(page);
+  }
+
+  /**
+   * Attach OCR output to a page and show its text overlay
+   */
+  showOcrResult(page, ocrData) {
+    page.ocrData = ocrData;
+
+    // Create text overlay
+    this.createTextOverlay(page);
+
+    // Mark page as processed
+    page.element.classList.add('ocr-processed');
+
+    // New text may contain matches for an open find bar
+    if (this.findQuery) this.runFind({ keepPosition: true });
   }
 
   /**
    * Clear OCR data from all pages
+   *
+   * Only the text in memory is dropped; cached results stay, so the next
+   * OCR of these pages restores them (see shared/ocr-cache.js).
    */
   clearOcr() {
     // Clear OCR data from all pages
@@ -1139,6 +2954,8 @@ class TiffViewer {
       page.element.classList.remove('ocr-processed');
     }
 
+    if (this.findQuery) this.runFind();
+
     // Terminate the worker in offscreen document
     if (this.ocrInitialized) {
       chrome.runtime.sendMessage({ type: 'ocr-terminate' }).catch(() => {});
@@ -1147,8 +2964,369 @@ class TiffViewer {
     }
   }
 
+  /**
+   * Download OCR text of all pages (see ocr-export.js)
+   * @param {string} format - 'txt', 'hocr' or 'alto'
+   */
+  exportOcr(format) {
+    if (!this.pages.some(page => page.ocrData)) {
+      alert('No OCR text to export. Run OCR first.');
+      return;
+    }
+
+    const pages = this.pages.map(page => ({
+      width: page.width,
+      height: page.height,
+      ocrData: page.ocrData
+    }));
+    const fileName = this.getDocumentFileName();
+    const baseName = fileName.replace(/\.tiff?$/i, '');
+
+    let blob;
+    let downloadName;
+    if (format === 'hocr') {
+      blob = new Blob([exportOcrHocr(pages, fileName)], { type: 'text/html' });
+      downloadName = `${baseName}.hocr.html`;
+    } else if (format === 'alto') {
+      blob = new Blob([exportOcrAlto(pages, fileName)], { type: 'application/xml' });
+      downloadName = `${baseName}.alto.xml`;
+    } else {
+      blob = new Blob([exportOcrText(pages)], { type: 'text/plain' });
+      downloadName = `${baseName}.txt`;
+    }
+
+    this.downloadBlob(blob, downloadName);
+    log(`[OCR] Exported ${format}: ${downloadName}`);
+  }
+
+  // ==================== OCR Cache ====================
+  //
+  // OCR output is stored in IndexedDB (shared/ocr-cache.js) under the
+  // SHA-256 of the file, the page index and the language, so reopening a
+  // document restores its text without rerunning OCR. Pages appended from
+  // other files use their own file's hash and index.
+  //
+
+  /**
+   * Get the SHA-256 of a page's source file (computed once per file)
+   * @param {Object} source - page.source
+   * @returns {Promise<string>}
+   */
+  getSourceHash(source) {
+    if (!source.hash) {
+      source.hash = hashDocument(source.buffer);
+    }
+    return source.hash;
+  }
+
+  /**
+   * Show a page's OCR text from the cache
+   * @returns {Promise<boolean>} True if the cache had the page
+   */
+  async restoreCachedOcr(page, pageIndex) {
+    try {
+      const { ocrCache, ocrLanguage } = await loadSettings();
+      if (!ocrCache) return false;
+
+      const data = await getCachedOcr(await this.getSourceHash(page.source), page.ifdIndex, ocrLanguage);
+      if (!data) return false;
+
+      log(`[OCR] Page ${pageIndex + 1} restored from cache`);
+      this.showOcrResult(page, { ...data, language: ocrLanguage });
+      return true;
+    } catch (err) {
+      logError('[OCR] Cache lookup failed:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Restore cached OCR output for every page without text
+   *
+   * Looks up each file's pages in one go rather than page by page, which
+   * matters for long documents (errors are only logged).
+   */
+  async restoreAllCachedOcr() {
+    try {
+      const { ocrCache, ocrLanguage } = await loadSettings();
+      if (!ocrCache) return;
+
+      const missing = this.pages.filter(page => !page.ocrData);
+      for (const source of new Set(missing.map(page => page.source))) {
+        const pages = missing.filter(page => page.source === source);
+        const found = await getCachedOcrPages(await this.getSourceHash(source),
+          pages.map(page => page.ifdIndex), ocrLanguage);
+
+        for (const page of pages) {
+          const data = found.get(page.ifdIndex);
+          if (data && !page.ocrData && this.pages.includes(page)) {
+            this.showOcrResult(page, { ...data, language: ocrLanguage });
+          }
+        }
+        if (found.size > 0) log(`[OCR] ${found.size} pages restored from cache`);
+      }
+    } catch (err) {
+      logError('[OCR] Cache lookup failed:', err);
+    }
+  }
+
+  /**
+   * Save a page's OCR output to the cache (errors are only logged)
+   */
+  async cacheOcrResult(page, data, language) {
+    try {
+      const { ocrCache, ocrCacheLimitMB } = await loadSettings();
+      if (!ocrCache) return;
+
+      await putCachedOcr(await this.getSourceHash(page.source), page.ifdIndex, language, data,
+        ocrCacheLimitMB * 1024 * 1024);
+    } catch (err) {
+      logError('[OCR] Failed to cache result:', err);
+    }
+  }
+
+  // ==================== Find Methods ====================
+  //
+  // Searches the OCR words of every page. Each page's words are joined with
+  // single spaces, so a phrase can span several words; a match is then
+  // mapped back to the indices of the words it covers, which are the
+  // data-word-index spans of that page's text overlay.
+  //
+  // Searching waits for a pause in typing. Highlights are only updated on
+  // pages near the viewport; other pages catch up when they come into view
+  // (see nearObserver), so large documents don't restyle every overlay.
+  //
+
+  openFindBar() {
+    this.elements.findBar.style.display = 'flex';
+    this.elements.findInput.focus();
+    this.elements.findInput.select();
+    this.runFind({ keepPosition: true });
+  }
+
+  closeFindBar() {
+    this.elements.findBar.style.display = 'none';
+    clearTimeout(this.findTimer);
+    this.findTimer = null;
+    this.findQuery = '';
+    this.findMatches = [];
+    this.findMatchesByPage = new Map();
+    this.findIndex = -1;
+    this.refreshFindHighlights();
+  }
+
+  /**
+   * Search once the user pauses typing
+   */
+  scheduleFind() {
+    clearTimeout(this.findTimer);
+    this.findTimer = setTimeout(() => this.runFind(), this.findDelay);
+  }
+
+  /**
+   * Lowercase and collapse whitespace so matching ignores case and spacing
+   */
+  normalizeFindText(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Search all pages for the find input's text
+   * @param {Object} options
+   * @param {boolean} options.keepPosition - Stay on the current match instead of jumping to the first
+   */
+  runFind({ keepPosition = false } = {}) {
+    clearTimeout(this.findTimer);
+    this.findTimer = null;
+
+    const query = this.normalizeFindText(this.elements.findInput.value).trim();
+    const previous = this.findMatches[this.findIndex];
+
+    this.findQuery = query;
+    this.findMatches = [];
+    this.findMatchesByPage = new Map();
+
+    if (query) {
+      this.pages.forEach((page, pageIndex) => {
+        if (!page.ocrData) return;
+        for (const wordIndices of this.findInPage(page.ocrData.words, query)) {
+          if (!this.findMatchesByPage.has(pageIndex)) this.findMatchesByPage.set(pageIndex, []);
+          this.findMatchesByPage.get(pageIndex).push(this.findMatches.length);
+          this.findMatches.push({ pageIndex, wordIndices });
+        }
+      });
+    }
+
+    // Start at the first match on or after the current page, or stay put
+    if (keepPosition && previous) {
+      this.findIndex = this.findMatches.findIndex(m =>
+        m.pageIndex === previous.pageIndex && m.wordIndices[0] === previous.wordIndices[0]);
+    } else {
+      this.findIndex = -1;
+    }
+    if (this.findIndex === -1 && this.findMatches.length > 0) {
+      const next = this.findMatches.findIndex(m => m.pageIndex >= this.currentPage);
+      this.findIndex = next === -1 ? 0 : next;
+      if (!keepPosition) this.showFindMatch();
+    }
+
+    this.refreshFindHighlights();
+    this.updateFindCount();
+  }
+
+  /**
+   * Find every occurrence of a query in one page's words
+   * @returns {number[][]} For each match, the indices of the words it covers
+   */
+  findInPage(words, query) {
+    let text = '';
+    const starts = [];
+    for (const [i, word] of words.entries()) {
+      if (i > 0) text += ' ';
+      starts.push(text.length);
+      text += this.normalizeFindText(word.text);
+    }
+
+    const matches = [];
+    let wordIndex = 0;
+    for (let pos = text.indexOf(query); pos !== -1; pos = text.indexOf(query, pos + query.length)) {
+      const end = pos + query.length;
+
+      // Skip words that end before the match (positions only increase)
+      while (wordIndex < words.length - 1 && starts[wordIndex + 1] <= pos) {
+        wordIndex++;
+      }
+
+      const covered = [];
+      for (let i = wordIndex; i < words.length && starts[i] < end; i++) {
+        covered.push(i);
+      }
+      matches.push(covered);
+    }
+    return matches;
+  }
+
+  /**
+   * Move to the next (1) or previous (-1) match, wrapping around
+   */
+  findStep(direction) {
+    const count = this.findMatches.length;
+    if (count === 0) return;
+
+    this.findIndex = (this.findIndex + direction + count) % count;
+    this.refreshFindHighlights();
+    this.updateFindCount();
+    this.showFindMatch();
+  }
+
+  /**
+   * Go to the current match's page and scroll its first word into view
+   */
+  showFindMatch() {
+    const match = this.findMatches[this.findIndex];
+    if (!match) return;
+
+    if (match.pageIndex !== this.currentPage || this.viewMode === 'single') {
+      this.goToPage(match.pageIndex);
+    }
+
+    const page = this.pages[match.pageIndex];
+    const span = page.textOverlay?.children[match.wordIndices[0]];
+    if (span) {
+      // After goToPage() has laid out the page
+      requestAnimationFrame(() => span.scrollIntoView({ block: 'center', inline: 'nearest' }));
+    }
+  }
+
+  /**
+   * Update highlights after the matches or the current match changed
+   *
+   * Only pages near the viewport are restyled now; the rest are when they
+   * come into view.
+   */
+  refreshFindHighlights() {
+    this.findVersion++;
+    for (const page of this.nearPages) {
+      this.applyFindHighlights(page);
+    }
+  }
+
+  /**
+   * Mark the words of matches on a page's text overlay
+   */
+  applyFindHighlights(page) {
+    const overlay = page.textOverlay;
+    if (!overlay) return;
+    page.findVersion = this.findVersion;
+
+    for (const span of overlay.querySelectorAll('.find-hit, .find-current')) {
+      span.classList.remove('find-hit', 'find-current');
+    }
+
+    for (const i of this.findMatchesByPage.get(this.pages.indexOf(page)) || []) {
+      const className = i === this.findIndex ? 'find-current' : 'find-hit';
+      for (const wordIndex of this.findMatches[i].wordIndices) {
+        overlay.children[wordIndex]?.classList.add(className);
+      }
+    }
+  }
+
+  updateFindCount() {
+    const count = this.findMatches.length;
+    let text = '';
+
+    if (this.findQuery) {
+      if (count > 0) {
+        text = `${this.findIndex + 1} of ${count}`;
+      } else if (this.pages.some(p => p.ocrData)) {
+        text = 'No matches';
+      } else {
+        text = 'Run OCR first';
+      }
+    }
+
+    this.elements.findCount.textContent = text;
+    this.elements.findPrev.disabled = count === 0;
+    this.elements.findNext.disabled = count === 0;
+  }
+
   // ==================== Utilities ====================
 
+  /**
+   * Parse page ranges like "1,3-7,12" (1-based, as shown in the toolbar)
+   *
+   * "-3" means pages 1-3 and "8-" means page 8 to the end. Pages are
+   * returned in the order listed; repeats are dropped.
+   *
+   * @param {string} text - Ranges typed by the user
+   * @param {number} pageCount - Number of pages in the document
+   * @returns {number[]} 0-based page indices
+   * @throws {Error} With a message for the user if the text is invalid
+   */
+  parsePageRanges(text, pageCount) {
+    const indices = [];
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) throw new Error('Enter the pages to extract');
+
+    for (const part of parts) {
+      const match = /^(\d*)\s*(-)?\s*(\d*)$/.exec(part);
+      if (!match || (!match[1] && !match[3])) throw new Error(`"${part}" is not a page or range`);
+
+      const first = match[1] ? parseInt(match[1], 10) : 1;
+      const last = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : first;
+      for (const page of [first, last]) {
+        if (page < 1 || page > pageCount) throw new Error(`Page ${page} does not exist`);
+      }
+
+      const step = last >= first ? 1 : -1;
+      for (let page = first; page !== last + step; page += step) {
+        if (!indices.includes(page - 1)) indices.push(page - 1);
+      }
+    }
+
+    return indices;
+  }
+
   formatBytes(bytes) {
     if (bytes === 0) return '0 B';
     const k = 1024;